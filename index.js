@@ -4,6 +4,9 @@
  * Original copyright (c) Deadalus Systems, 2024 (https://deadal.us)
  */
 
+// Cached components are dropped whenever this changes
+const libraryVersion = "1.0.0";
+
 // Core utility functions
 const utils = {
   setPrototypeOf: function (target, proto) {
@@ -44,6 +47,33 @@ const utils = {
     }
     return result;
   },
+
+  // High resolution timestamp in milliseconds
+  now: function () {
+    if (typeof performance !== "undefined" && performance.now) {
+      return performance.now();
+    }
+    return Date.now();
+  },
+
+  // Global Privacy Control or Do Not Track
+  privacySignal: function () {
+    if (typeof navigator === "undefined") {
+      return false;
+    }
+    return (
+      navigator.globalPrivacyControl === true ||
+      navigator.doNotTrack === "1" ||
+      navigator.doNotTrack === "yes" ||
+      navigator.msDoNotTrack === "1" ||
+      (typeof window !== "undefined" && window.doNotTrack === "1")
+    );
+  },
+
+  // visitorIds are "<hash algorithm id>.<hex hash>"
+  isVisitorId: function (value) {
+    return typeof value === "string" && /^[a-z0-9]+\.[0-9a-f]+$/.test(value);
+  },
 };
 
 // Promise-based utilities
@@ -53,12 +83,13 @@ const promiseUtils = {
   },
 
   withTimeout: function (promise, timeoutMs) {
+    let timer;
     return Promise.race([
       promise,
-      new Promise((_, reject) =>
-        setTimeout(() => reject(new Error("Timeout")), timeoutMs)
-      ),
-    ]);
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error("Timeout")), timeoutMs);
+      }),
+    ]).finally(() => clearTimeout(timer));
   },
 
   retry: function (fn, retries = 3, delay = 1000) {
@@ -79,100 +110,1867 @@ const promiseUtils = {
   },
 };
 
-// Browser fingerprinting components
-class BrowserFingerprint {
-  constructor(options = {}) {
-    this.options = options;
-    this.apiKey = options.apiKey;
-    this.cookieName = options.cookieName || "smbfjs_id";
-    this.cookieDays = options.cookieDays || 365;
+// Keeping collection off the critical path: yielding to the page between
+// components and moving CPU-bound work to a worker
+const schedulerUtils = {
+  // Prefers scheduler.yield(), which resumes ahead of other queued tasks,
+  // then idle time, then a plain task
+  yield: function () {
+    if (typeof scheduler !== "undefined" && scheduler.yield) {
+      return scheduler.yield();
+    }
+    if (typeof requestIdleCallback !== "undefined") {
+      return new Promise((resolve) =>
+        requestIdleCallback(() => resolve(), { timeout: 100 })
+      );
+    }
+    return promiseUtils.delay(0);
+  },
+
+  // Runs fn(...args) in a throwaway worker. fn is serialized, so it must not
+  // reference anything outside itself. Falls back to the main thread when
+  // workers are unavailable or blocked by CSP.
+  worker: function (fn, args = []) {
+    const inline = () => fn.apply(null, args);
+    if (
+      typeof Worker === "undefined" ||
+      typeof Blob === "undefined" ||
+      typeof URL === "undefined" ||
+      !URL.createObjectURL
+    ) {
+      return new Promise((resolve) => resolve(inline()));
+    }
+
+    return new Promise((resolve) => {
+      let url, worker;
+      try {
+        url = URL.createObjectURL(
+          new Blob([`onmessage=(e)=>postMessage((${fn}).apply(null,e.data))`], {
+            type: "application/javascript",
+          })
+        );
+        worker = new Worker(url);
+      } catch (e) {
+        if (url) {
+          URL.revokeObjectURL(url);
+        }
+        resolve(inline());
+        return;
+      }
+
+      const done = (result) => {
+        worker.terminate();
+        URL.revokeObjectURL(url);
+        resolve(result);
+      };
+      worker.onmessage = (e) => done(e.data);
+      worker.onerror = (e) => {
+        if (e && e.preventDefault) {
+          e.preventDefault();
+        }
+        done(Promise.resolve().then(inline));
+      };
+      worker.postMessage(args);
+    });
+  },
+};
+
+// 64-bit arithmetic on [high, low] pairs of unsigned 32-bit words
+const x64 = {
+  add: function (m, n) {
+    const m0 = m[0] >>> 16,
+      m1 = m[0] & 0xffff,
+      m2 = m[1] >>> 16,
+      m3 = m[1] & 0xffff;
+    const n0 = n[0] >>> 16,
+      n1 = n[0] & 0xffff,
+      n2 = n[1] >>> 16,
+      n3 = n[1] & 0xffff;
+    let o0 = 0,
+      o1 = 0,
+      o2 = 0,
+      o3 = 0;
+    o3 += m3 + n3;
+    o2 += o3 >>> 16;
+    o3 &= 0xffff;
+    o2 += m2 + n2;
+    o1 += o2 >>> 16;
+    o2 &= 0xffff;
+    o1 += m1 + n1;
+    o0 += o1 >>> 16;
+    o1 &= 0xffff;
+    o0 += m0 + n0;
+    o0 &= 0xffff;
+    return [((o0 << 16) | o1) >>> 0, ((o2 << 16) | o3) >>> 0];
+  },
+
+  multiply: function (m, n) {
+    const m0 = m[0] >>> 16,
+      m1 = m[0] & 0xffff,
+      m2 = m[1] >>> 16,
+      m3 = m[1] & 0xffff;
+    const n0 = n[0] >>> 16,
+      n1 = n[0] & 0xffff,
+      n2 = n[1] >>> 16,
+      n3 = n[1] & 0xffff;
+    let o0 = 0,
+      o1 = 0,
+      o2 = 0,
+      o3 = 0;
+    o3 += m3 * n3;
+    o2 += o3 >>> 16;
+    o3 &= 0xffff;
+    o2 += m2 * n3;
+    o1 += o2 >>> 16;
+    o2 &= 0xffff;
+    o2 += m3 * n2;
+    o1 += o2 >>> 16;
+    o2 &= 0xffff;
+    o1 += m1 * n3;
+    o0 += o1 >>> 16;
+    o1 &= 0xffff;
+    o1 += m2 * n2;
+    o0 += o1 >>> 16;
+    o1 &= 0xffff;
+    o1 += m3 * n1;
+    o0 += o1 >>> 16;
+    o1 &= 0xffff;
+    o0 += m0 * n3 + m1 * n2 + m2 * n1 + m3 * n0;
+    o0 &= 0xffff;
+    return [((o0 << 16) | o1) >>> 0, ((o2 << 16) | o3) >>> 0];
+  },
+
+  rotl: function (m, n) {
+    n %= 64;
+    if (n === 32) {
+      return [m[1], m[0]];
+    } else if (n < 32) {
+      return [
+        ((m[0] << n) | (m[1] >>> (32 - n))) >>> 0,
+        ((m[1] << n) | (m[0] >>> (32 - n))) >>> 0,
+      ];
+    }
+    n -= 32;
+    return [
+      ((m[1] << n) | (m[0] >>> (32 - n))) >>> 0,
+      ((m[0] << n) | (m[1] >>> (32 - n))) >>> 0,
+    ];
+  },
+
+  leftShift: function (m, n) {
+    n %= 64;
+    if (n === 0) {
+      return m;
+    } else if (n < 32) {
+      return [((m[0] << n) | (m[1] >>> (32 - n))) >>> 0, (m[1] << n) >>> 0];
+    }
+    return [(m[1] << (n - 32)) >>> 0, 0];
+  },
+
+  xor: function (m, n) {
+    return [(m[0] ^ n[0]) >>> 0, (m[1] ^ n[1]) >>> 0];
+  },
+
+  fmix: function (h) {
+    h = x64.xor(h, [0, h[0] >>> 1]);
+    h = x64.multiply(h, [0xff51afd7, 0xed558ccd]);
+    h = x64.xor(h, [0, h[0] >>> 1]);
+    h = x64.multiply(h, [0xc4ceb9fe, 0x1a85ec53]);
+    h = x64.xor(h, [0, h[0] >>> 1]);
+    return h;
+  },
+};
+
+// Hashing utilities
+const hashUtils = {
+  utf8: function (str) {
+    if (typeof TextEncoder !== "undefined") {
+      return new TextEncoder().encode(str);
+    }
+    const binary = unescape(encodeURIComponent(str));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  },
+
+  hex: function (words) {
+    return words.map((w) => ("00000000" + w.toString(16)).slice(-8)).join("");
+  },
+
+  // MurmurHash3 x64 128-bit of a string (UTF-8) or byte array, returned as
+  // 32 hex characters
+  murmur3: function (input, seed = 0) {
+    const key = typeof input === "string" ? hashUtils.utf8(input) : input;
+    const remainder = key.length % 16;
+    const bytes = key.length - remainder;
+    const c1 = [0x87c37b91, 0x114253d5];
+    const c2 = [0x4cf5ad43, 0x2745937f];
+    let h1 = [0, seed];
+    let h2 = [0, seed];
+    let k1, k2;
+
+    const word = (i) =>
+      (key[i] | (key[i + 1] << 8) | (key[i + 2] << 16) | (key[i + 3] << 24)) >>>
+      0;
+
+    let i = 0;
+    for (; i < bytes; i += 16) {
+      k1 = [word(i + 4), word(i)];
+      k2 = [word(i + 12), word(i + 8)];
+
+      k1 = x64.multiply(k1, c1);
+      k1 = x64.rotl(k1, 31);
+      k1 = x64.multiply(k1, c2);
+      h1 = x64.xor(h1, k1);
+      h1 = x64.rotl(h1, 27);
+      h1 = x64.add(h1, h2);
+      h1 = x64.add(x64.multiply(h1, [0, 5]), [0, 0x52dce729]);
+
+      k2 = x64.multiply(k2, c2);
+      k2 = x64.rotl(k2, 33);
+      k2 = x64.multiply(k2, c1);
+      h2 = x64.xor(h2, k2);
+      h2 = x64.rotl(h2, 31);
+      h2 = x64.add(h2, h1);
+      h2 = x64.add(x64.multiply(h2, [0, 5]), [0, 0x38495ab5]);
+    }
+
+    // Tail
+    k1 = [0, 0];
+    k2 = [0, 0];
+    for (let j = remainder - 1; j >= 8; j--) {
+      k2 = x64.xor(k2, x64.leftShift([0, key[i + j]], (j - 8) * 8));
+    }
+    if (remainder > 8) {
+      k2 = x64.multiply(k2, c2);
+      k2 = x64.rotl(k2, 33);
+      k2 = x64.multiply(k2, c1);
+      h2 = x64.xor(h2, k2);
+    }
+    for (let j = Math.min(remainder, 8) - 1; j >= 0; j--) {
+      k1 = x64.xor(k1, x64.leftShift([0, key[i + j]], j * 8));
+    }
+    if (remainder > 0) {
+      k1 = x64.multiply(k1, c1);
+      k1 = x64.rotl(k1, 31);
+      k1 = x64.multiply(k1, c2);
+      h1 = x64.xor(h1, k1);
+    }
+
+    // Finalization
+    h1 = x64.xor(h1, [0, key.length]);
+    h2 = x64.xor(h2, [0, key.length]);
+    h1 = x64.add(h1, h2);
+    h2 = x64.add(h2, h1);
+    h1 = x64.fmix(h1);
+    h2 = x64.fmix(h2);
+    h1 = x64.add(h1, h2);
+    h2 = x64.add(h2, h1);
+
+    return hashUtils.hex([h1[0], h1[1], h2[0], h2[1]]);
+  },
+
+  // SHA-256 through SubtleCrypto, returned as 64 hex characters
+  sha256: async function (str) {
+    const digest = await crypto.subtle.digest("SHA-256", hashUtils.utf8(str));
+    const view = new DataView(digest);
+    const words = [];
+    for (let i = 0; i < view.byteLength; i += 4) {
+      words.push(view.getUint32(i));
+    }
+    return hashUtils.hex(words);
+  },
+
+  // Hash of the component values, prefixed with the algorithm id. Falls back
+  // to murmur3 when SubtleCrypto is unavailable (e.g. on insecure origins).
+  // Shared with the server companion so both sides compute identical IDs.
+  components: async function (components, algorithmName = "murmur3") {
+    const str = JSON.stringify(components.map((c) => c.value));
+    let algorithm = hashAlgorithms[algorithmName];
+    if (algorithm.available && !algorithm.available()) {
+      algorithm = hashAlgorithms.murmur3;
+    }
+    const hash = await algorithm.hash(str);
+    return `${algorithm.id}.${hash}`;
+  },
+
+  // Hashes every leaf of a value but keeps its arrays and objects, so the
+  // comparators in matchUtils still see list items and fields
+  leaves: function (value) {
+    if (value === null || value === undefined) {
+      return null;
+    }
+    if (Array.isArray(value)) {
+      return value.map(hashUtils.leaves);
+    }
+    if (typeof value === "object") {
+      const hashed = {};
+      for (const key in value) {
+        hashed[key] = hashUtils.leaves(value[key]);
+      }
+      return hashed;
+    }
+    return hashUtils.murmur3(JSON.stringify(value));
+  },
+};
+
+// Hash algorithms available for the visitorId. The id is prefixed to the
+// visitorId so IDs produced by different algorithms never compare equal.
+const hashAlgorithms = {
+  murmur3: {
+    id: "m3",
+    hash: hashUtils.murmur3,
+  },
+  sha256: {
+    id: "s256",
+    available: () =>
+      typeof crypto !== "undefined" &&
+      !!crypto.subtle &&
+      !!crypto.subtle.digest,
+    hash: hashUtils.sha256,
+  },
+};
+
+// Cookie utilities
+const cookieUtils = {
+  read: function (cookieName) {
+    const name = `${cookieName}=`;
+    const decodedCookie = decodeURIComponent(document.cookie);
+    const cookies = decodedCookie.split(";");
+    for (let cookie of cookies) {
+      while (cookie.charAt(0) === " ") {
+        cookie = cookie.substring(1);
+      }
+      if (cookie.indexOf(name) === 0) {
+        return cookie.substring(name.length, cookie.length);
+      }
+    }
+    return null;
+  },
+
+  write: function (cookieName, value, options = {}) {
+    const date = new Date();
+    date.setTime(date.getTime() + (options.days || 365) * 24 * 60 * 60 * 1000);
+
+    // Browsers drop SameSite=None cookies that are not Secure, and Secure
+    // cookies cannot be written from plain http pages
+    const https =
+      typeof location !== "undefined" && location.protocol === "https:";
+    let sameSite = options.sameSite || "Lax";
+    if (sameSite === "None" && !https) {
+      sameSite = "Lax";
+    }
+    const secure =
+      https && (sameSite === "None" || options.secure !== false)
+        ? ";Secure"
+        : "";
+
+    const domains = cookieUtils.matchDomains(options.domains);
+    const base = `${cookieName}=${value};expires=${date.toUTCString()};path=/;SameSite=${sameSite}${secure}`;
+
+    if (!domains.length) {
+      document.cookie = base;
+      return;
+    }
+    for (const domain of domains) {
+      document.cookie = `${base};Domain=${domain}`;
+    }
+  },
+
+  // Configured domains the current host belongs to, e.g. ".example.com"
+  // matches both example.com and app.example.com
+  matchDomains: function (domains) {
+    if (!domains || !domains.length || typeof location === "undefined") {
+      return [];
+    }
+    const host = location.hostname.toLowerCase();
+    return domains
+      .map((domain) => domain.toLowerCase().replace(/^\./, ""))
+      .filter((domain) => host === domain || host.endsWith("." + domain));
+  },
+};
+
+// Shares the visitorId across unrelated registrable domains through a hidden
+// iframe served from one common origin (see Fingerprint.serveBridge)
+class CookieBridge {
+  constructor(options = {}) {
+    if (!options.url) {
+      throw new Error("Bridge url is required");
+    }
+    this.url = options.url;
+    this.origin = new URL(options.url, location.href).origin;
+    this.timeout = options.timeout || 2000;
+    this._frame = null;
+  }
+
+  get() {
+    return this._request({ type: "smbfjs:get" }).then(
+      (data) => (utils.isVisitorId(data.visitorId) ? data.visitorId : null),
+      () => null
+    );
+  }
+
+  set(visitorId) {
+    return this._request({ type: "smbfjs:set", visitorId }).then(
+      () => true,
+      () => false
+    );
+  }
+
+  _load() {
+    if (!this._frame) {
+      this._frame = new Promise((resolve, reject) => {
+        const iframe = document.createElement("iframe");
+        iframe.style.display = "none";
+        iframe.setAttribute("aria-hidden", "true");
+        iframe.src = this.url;
+        iframe.onload = () => resolve(iframe);
+        iframe.onerror = () => reject(new Error("Bridge failed to load"));
+        (document.body || document.documentElement).appendChild(iframe);
+      });
+    }
+    return this._frame;
+  }
+
+  _request(message) {
+    const id = Math.random().toString(36).slice(2);
+    let settled = false;
+    let onMessage = null;
+    const request = this._load().then(
+      (iframe) =>
+        new Promise((resolve) => {
+          // The frame loaded after the request timed out
+          if (settled) {
+            return;
+          }
+          onMessage = (event) => {
+            // Only trust replies from the bridge origin
+            if (
+              event.origin !== this.origin ||
+              !event.data ||
+              event.data.id !== id
+            ) {
+              return;
+            }
+            resolve(event.data);
+          };
+          window.addEventListener("message", onMessage);
+          iframe.contentWindow.postMessage(
+            utils.assign({ id }, message),
+            this.origin
+          );
+        })
+    );
+    return promiseUtils.withTimeout(request, this.timeout).finally(() => {
+      settled = true;
+      if (onMessage) {
+        window.removeEventListener("message", onMessage);
+      }
+    });
+  }
+}
+
+// Storage backends for the visitorId. Every backend resolves to a
+// { visitorId, created } record or null, and never rejects.
+const storageBackends = {
+  cookie: function (bf) {
+    return {
+      read: async () => {
+        const visitorId = bf.getCookie();
+        // The cookie holds the bare visitorId, so its age is unknown
+        return visitorId ? { visitorId, created: null } : null;
+      },
+      write: async (record) => bf.setCookie(record.visitorId),
+    };
+  },
+
+  localStorage: function (bf, key = bf.cookieName) {
+    return storageBackends._webStorage("localStorage", key);
+  },
+
+  sessionStorage: function (bf, key = bf.cookieName) {
+    return storageBackends._webStorage("sessionStorage", key);
+  },
+
+  indexedDB: function (bf, key = bf.cookieName) {
+    const open = () =>
+      promiseUtils.withTimeout(
+        new Promise((resolve, reject) => {
+          const request = indexedDB.open("smbfjs", 1);
+          request.onupgradeneeded = () =>
+            request.result.createObjectStore("visitor");
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => reject(request.error);
+        }),
+        1000
+      );
+
+    const transact = (mode, fn) =>
+      open().then(
+        (db) =>
+          new Promise((resolve, reject) => {
+            const tx = db.transaction("visitor", mode);
+            const request = fn(tx.objectStore("visitor"));
+            tx.oncomplete = () => {
+              db.close();
+              resolve(request.result);
+            };
+            tx.onerror = () => {
+              db.close();
+              reject(tx.error);
+            };
+          })
+      );
+
+    return {
+      read: () =>
+        transact("readonly", (store) => store.get(key)).then(
+          (record) => (record && record.visitorId ? record : null),
+          () => null
+        ),
+      write: (record) =>
+        transact("readwrite", (store) => store.put(record, key)).catch(
+          () => null
+        ),
+    };
+  },
+
+  _webStorage: function (type, key) {
+    return {
+      read: async () => {
+        try {
+          const record = JSON.parse(window[type].getItem(key));
+          return record && record.visitorId ? record : null;
+        } catch (e) {
+          return null;
+        }
+      },
+      write: async (record) => {
+        try {
+          window[type].setItem(key, JSON.stringify(record));
+        } catch (e) {
+          // Storage unavailable (private mode, quota, sandboxed iframe)
+        }
+      },
+    };
+  },
+};
+
+// Keeps redundant copies of the visitorId in every enabled backend and
+// reconciles them on read
+class VisitorStorage {
+  constructor(bf, options = {}) {
+    this.backends = {};
+    for (const name of [
+      "cookie",
+      "localStorage",
+      "sessionStorage",
+      "indexedDB",
+    ]) {
+      if (options[name] !== false && this._available(name)) {
+        this.backends[name] = storageBackends[name](bf);
+      }
+    }
+
+    // The snapshot can be kept in a longer-lived store than the visitorId.
+    // Defaults to the first enabled persistent backend.
+    const snapshot =
+      options.snapshot !== undefined
+        ? options.snapshot
+        : ["localStorage", "indexedDB"].find((name) => this.backends[name]);
+    if (
+      snapshot &&
+      ["localStorage", "sessionStorage", "indexedDB"].indexOf(snapshot) < 0
+    ) {
+      throw new Error(`Unknown snapshot storage: ${snapshot}`);
+    }
+    this.snapshot =
+      snapshot && this._available(snapshot)
+        ? storageBackends[snapshot](bf, `${bf.cookieName}_snapshot`)
+        : null;
+  }
+
+  // Returns { visitorId, created, agreed, healed }. The value held by the
+  // most stores wins, ties go to the oldest record, and with heal stores that
+  // are missing or disagree are rewritten with the winner.
+  async read(heal = true) {
+    const names = Object.keys(this.backends);
+    const records = await Promise.all(
+      names.map((name) => this.backends[name].read())
+    );
+
+    const candidates = {};
+    records.forEach((record, i) => {
+      if (!record) {
+        return;
+      }
+      const candidate = candidates[record.visitorId] || {
+        visitorId: record.visitorId,
+        created: null,
+        stores: [],
+      };
+      candidate.stores.push(names[i]);
+      if (
+        record.created &&
+        (!candidate.created || record.created < candidate.created)
+      ) {
+        candidate.created = record.created;
+      }
+      candidates[record.visitorId] = candidate;
+    });
+
+    const age = (c) => c.created || Infinity;
+    const winner = Object.keys(candidates)
+      .map((id) => candidates[id])
+      .sort((a, b) => b.stores.length - a.stores.length || age(a) - age(b))[0];
+
+    if (!winner) {
+      return { visitorId: null, created: null, agreed: [], healed: [] };
+    }
+
+    const record = {
+      visitorId: winner.visitorId,
+      created: winner.created || Date.now(),
+    };
+    const healed = heal
+      ? names.filter((name) => winner.stores.indexOf(name) < 0)
+      : [];
+    await Promise.all(healed.map((name) => this.backends[name].write(record)));
+
+    return utils.assign({}, record, { agreed: winner.stores, healed });
+  }
+
+  async write(visitorId) {
+    const record = { visitorId, created: Date.now() };
+    const names = Object.keys(this.backends);
+    await Promise.all(names.map((name) => this.backends[name].write(record)));
+    return record;
+  }
+
+  // Hashed stable component values, used for fuzzy matching
+  async readSnapshot() {
+    return this.snapshot ? this.snapshot.read() : null;
+  }
+
+  async writeSnapshot(snapshot) {
+    if (this.snapshot) {
+      await this.snapshot.write(snapshot);
+    }
+  }
+
+  _available(name) {
+    try {
+      if (name === "cookie") {
+        return typeof document !== "undefined";
+      }
+      return typeof window !== "undefined" && !!window[name];
+    } catch (e) {
+      // Accessing storage throws when it is blocked
+      return false;
+    }
+  }
+}
+
+// How long a collected component is reused within the session, in ms.
+// Volatile readings expire quickly, Infinity lasts for the session.
+const defaultCacheTtls = {
+  battery: 30 * 1000,
+  network: 30 * 1000,
+  pressureSensor: 30 * 1000,
+  mediaDevices: 5 * 60 * 1000,
+  fonts: Infinity,
+  canvas: Infinity,
+  audio: Infinity,
+  webgl: Infinity,
+  videoCard: Infinity,
+  voices: Infinity,
+};
+
+// Components collected earlier in the session, kept in sessionStorage. The
+// whole cache is dropped when the signature (library version and component
+// configuration) changes. IndexedDB is not used: it would outlive the
+// session and cannot be read synchronously.
+class ComponentCache {
+  constructor(bf, options = {}) {
+    this.key = `${bf.cookieName}_cache`;
+    this.ttl =
+      options.cacheTtl !== undefined ? options.cacheTtl : 30 * 60 * 1000;
+    this.ttls = utils.assign({}, defaultCacheTtls, options.cacheTtls);
+  }
+
+  // Unexpired results by component key
+  read(signature) {
+    const entries = this._entries(signature);
+    const results = {};
+    for (const key in entries) {
+      results[key] = ComponentCache.decode(entries[key].result);
+    }
+    return results;
+  }
+
+  // Stores freshly collected components; failed ones are not cached
+  write(signature, components) {
+    const entries = this._entries(signature);
+    const now = Date.now();
+    for (const c of components) {
+      const ttl = this.ttls[c.key] !== undefined ? this.ttls[c.key] : this.ttl;
+      if (c.error || c.cached || !ttl) {
+        continue;
+      }
+      entries[c.key] = {
+        result: ComponentCache.encode(
+          utils.exclude(c, ["duration", "blocking"])
+        ),
+        // JSON has no Infinity: null lasts for the session
+        expires: ttl === Infinity ? null : now + ttl,
+      };
+    }
+
+    try {
+      sessionStorage.setItem(this.key, JSON.stringify({ signature, entries }));
+    } catch (e) {
+      // Storage unavailable or over quota
+    }
+  }
+
+  clear() {
+    try {
+      sessionStorage.removeItem(this.key);
+    } catch (e) {
+      // Storage unavailable
+    }
+  }
+
+  // JSON drops undefined and turns Infinity and NaN into null, which would
+  // change the cached value (deviceMemory is undefined in Safari)
+  static encode(value) {
+    if (
+      value === undefined ||
+      (typeof value === "number" && !isFinite(value))
+    ) {
+      return { $special: String(value) };
+    }
+    if (Array.isArray(value)) {
+      return value.map(ComponentCache.encode);
+    }
+    if (value && typeof value === "object") {
+      const encoded = {};
+      for (const key of Object.keys(value)) {
+        encoded[key] = ComponentCache.encode(value[key]);
+      }
+      return encoded;
+    }
+    return value;
+  }
+
+  static decode(value) {
+    if (Array.isArray(value)) {
+      return value.map(ComponentCache.decode);
+    }
+    if (value && typeof value === "object") {
+      const keys = Object.keys(value);
+      if (keys.length === 1 && typeof value.$special === "string") {
+        return {
+          undefined: undefined,
+          Infinity: Infinity,
+          "-Infinity": -Infinity,
+          NaN: NaN,
+        }[value.$special];
+      }
+      const decoded = {};
+      for (const key of keys) {
+        decoded[key] = ComponentCache.decode(value[key]);
+      }
+      return decoded;
+    }
+    return value;
+  }
+
+  _entries(signature) {
+    let record = null;
+    try {
+      record = JSON.parse(sessionStorage.getItem(this.key));
+    } catch (e) {
+      // Storage unavailable or corrupted
+    }
+    if (!record || record.signature !== signature || !record.entries) {
+      return {};
+    }
+
+    const now = Date.now();
+    const entries = {};
+    for (const key in record.entries) {
+      const entry = record.entries[key];
+      if (entry.expires === null || entry.expires > now) {
+        entries[key] = entry;
+      }
+    }
+    return entries;
+  }
+}
+
+// Per-component similarity between two snapshots, each in [0, 1]
+const matchUtils = {
+  exact: function (a, b) {
+    return JSON.stringify(a) === JSON.stringify(b) ? 1 : 0;
+  },
+
+  // Jaccard index of two lists, duplicates counted once
+  setOverlap: function (a, b) {
+    if (!Array.isArray(a) || !Array.isArray(b)) {
+      return matchUtils.exact(a, b);
+    }
+    if (!a.length && !b.length) {
+      return 1;
+    }
+    const set = (list) => {
+      const items = {};
+      for (const item of list) {
+        items[item] = true;
+      }
+      return items;
+    };
+    const inA = set(a);
+    const inB = set(b);
+    const shared = Object.keys(inB).filter((item) => inA[item]).length;
+    return shared / Object.keys(utils.assign({}, inA, inB)).length;
+  },
+
+  // Same browser and platform with different version numbers still scores
+  // high, so browser updates do not count as a different device. Snapshots
+  // hold { full, versionless } hashes instead of the user agent.
+  userAgent: function (a, b) {
+    if (matchUtils.exact(a, b)) {
+      return 1;
+    }
+    if (a && b && typeof a === "object" && typeof b === "object") {
+      return a.versionless && a.versionless === b.versionless ? 0.9 : 0;
+    }
+    if (typeof a !== "string" || typeof b !== "string") {
+      return 0;
+    }
+    return matchUtils.versionless(a) === matchUtils.versionless(b) ? 0.9 : 0;
+  },
+
+  versionless: function (ua) {
+    return ua.replace(/\d+(?:[._]\d+)*/g, "");
+  },
+
+  // Client hints that only differ in brand versions
+  clientHints: function (a, b) {
+    if (!a || !b || !Array.isArray(a.brands) || !Array.isArray(b.brands)) {
+      return matchUtils.exact(a, b);
+    }
+    if (matchUtils.exact(a, b)) {
+      return 1;
+    }
+    const strip = (hints) =>
+      utils.assign({}, hints, { brands: hints.brands.map((x) => x.brand) });
+    return matchUtils.exact(strip(a), strip(b)) ? 0.9 : 0;
+  },
+
+  // Driver updates can add extensions or change the render output while the
+  // GPU stays the same
+  webgl: function (a, b) {
+    if (!a || !b) {
+      return matchUtils.exact(a, b);
+    }
+    const same = a.vendor === b.vendor && a.renderer === b.renderer ? 1 : 0;
+    const scores = [same, matchUtils.setOverlap(a.extensions, b.extensions)];
+    for (const key of ["parameters", "precision", "renderHash"]) {
+      if (key in a || key in b) {
+        scores.push(matchUtils.exact(a[key], b[key]));
+      }
+    }
+    return scores.reduce((sum, score) => sum + score, 0) / scores.length;
+  },
+
+  // Weighted similarity of the keys present in both snapshots
+  compare: function (previous, current, weights) {
+    let total = 0;
+    let score = 0;
+    const changed = [];
+    for (const key in current) {
+      if (!Object.prototype.hasOwnProperty.call(previous, key)) {
+        continue;
+      }
+      const compare = componentComparators[key] || matchUtils.exact;
+      const similarity = compare(previous[key], current[key]);
+      const weight = weights[key] !== undefined ? weights[key] : 1;
+      total += weight;
+      score += weight * similarity;
+      if (similarity < 1) {
+        changed.push(key);
+      }
+    }
+    return { score: total ? score / total : 0, changed };
+  },
+};
+
+const componentComparators = {
+  userAgent: matchUtils.userAgent,
+  clientHints: matchUtils.clientHints,
+  fonts: matchUtils.setOverlap,
+  webgl: matchUtils.webgl,
+};
+
+// Locale consistency checks
+const localeUtils = {
+  // Continent of the IANA timezones expected for common language regions
+  regionContinents: {
+    US: "America",
+    CA: "America",
+    MX: "America",
+    BR: "America",
+    AR: "America",
+    CO: "America",
+    CL: "America",
+    PE: "America",
+    GB: "Europe",
+    IE: "Europe",
+    DE: "Europe",
+    AT: "Europe",
+    CH: "Europe",
+    FR: "Europe",
+    BE: "Europe",
+    NL: "Europe",
+    ES: "Europe",
+    PT: "Europe",
+    IT: "Europe",
+    PL: "Europe",
+    SE: "Europe",
+    NO: "Europe",
+    DK: "Europe",
+    FI: "Europe",
+    CZ: "Europe",
+    GR: "Europe",
+    RO: "Europe",
+    UA: "Europe",
+    TR: "Europe",
+    CN: "Asia",
+    TW: "Asia",
+    HK: "Asia",
+    JP: "Asia",
+    KR: "Asia",
+    IN: "Asia",
+    ID: "Asia",
+    TH: "Asia",
+    VN: "Asia",
+    PH: "Asia",
+    SG: "Asia",
+    IL: "Asia",
+    SA: "Asia",
+    AE: "Asia",
+    AU: "Australia",
+    NZ: "Pacific",
+    ZA: "Africa",
+    NG: "Africa",
+    EG: "Africa",
+    KE: "Africa",
+    GH: "Africa",
+  },
+
+  // True when the timezone lies outside the continent of the language
+  // region, null when either is unknown
+  timezoneMismatch: function (timeZone, language) {
+    const region = ((language || "").split("-")[1] || "").toUpperCase();
+    const expected = localeUtils.regionContinents[region];
+    if (!timeZone || !expected || timeZone === "UTC") {
+      return null;
+    }
+    // Russia and Turkey span continents
+    if (/^(Europe|Asia)\//.test(timeZone) && /^(RU|TR)$/.test(region)) {
+      return false;
+    }
+    return timeZone.split("/")[0] !== expected;
+  },
+};
+
+// Baseline entropy estimates per component. bits is the average entropy for
+// values missing from values, which maps common values to their share of
+// browsers. stability is the expected chance a value survives a month.
+// Figures are rounded from public studies (Panopticlick, AmIUnique, FP-Stalker)
+// and can be replaced through the entropyTable option.
+const defaultEntropyTable = {
+  userAgent: { bits: 10, stability: 0.6 },
+  clientHints: { bits: 4.5, stability: 0.85 },
+  webdriver: { bits: 0.1, stability: 0.99, values: { false: 0.99 } },
+  language: {
+    bits: 5.9,
+    stability: 0.95,
+    values: {
+      "en-US": 0.38,
+      "en-GB": 0.05,
+      "zh-CN": 0.06,
+      es: 0.04,
+      "es-ES": 0.03,
+      de: 0.03,
+      "de-DE": 0.04,
+      "fr-FR": 0.04,
+      "pt-BR": 0.04,
+      "ru-RU": 0.03,
+      "ja-JP": 0.02,
+    },
+  },
+  languages: { bits: 5.5, stability: 0.9 },
+  timezone: { bits: 3.1, stability: 0.95 },
+  intl: { bits: 2.5, stability: 0.9 },
+  colorDepth: {
+    bits: 0.8,
+    stability: 0.98,
+    values: { 24: 0.9, 30: 0.06, 32: 0.03 },
+  },
+  screen: { bits: 4.8, stability: 0.8 },
+  mediaPreferences: { bits: 2.5, stability: 0.7 },
+  deviceMemory: {
+    bits: 1.6,
+    stability: 0.97,
+    values: { 8: 0.52, 4: 0.22, 2: 0.07, 1: 0.03, 16: 0.02, 0.5: 0.01 },
+  },
+  pixelRatio: {
+    bits: 2.8,
+    stability: 0.8,
+    values: { 1: 0.42, 2: 0.26, 1.25: 0.09, 1.5: 0.08, 3: 0.08, 2.75: 0.02 },
+  },
+  hardwareConcurrency: {
+    bits: 2.5,
+    stability: 0.98,
+    values: { 4: 0.23, 8: 0.32, 2: 0.06, 6: 0.07, 12: 0.1, 16: 0.12 },
+  },
+  canvas: { bits: 8.3, stability: 0.9 },
+  audio: { bits: 3.5, stability: 0.85 },
+  webgl: { bits: 6.5, stability: 0.85 },
+  fonts: { bits: 7.5, stability: 0.85 },
+  plugins: { bits: 1.5, stability: 0.9 },
+  touch: { bits: 1.2, stability: 0.98 },
+  hardware: { bits: 3, stability: 0.3 },
+  battery: { bits: 2, stability: 0.05 },
+  voices: { bits: 5, stability: 0.9 },
+  webrtc: { bits: 1, stability: 0.2 },
+  cssFeatures: { bits: 2.5, stability: 0.8 },
+  mediaDevices: { bits: 3, stability: 0.7 },
+  pressureSensor: { bits: 0.5, stability: 0.99 },
+  gpu: { bits: 4, stability: 0.85 },
+  network: { bits: 2.5, stability: 0.1 },
+  videoCard: { bits: 6.8, stability: 0.9 },
+};
+
+// Raised when the verification endpoint rejects the API key (401/403)
+class InvalidApiKeyError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = "InvalidApiKeyError";
+    this.status = status;
+  }
+}
+
+const eventNames = [
+  "componentCollected",
+  "visitorIdCreated",
+  "visitorIdChanged",
+  "error",
+];
+
+// Browser fingerprinting components
+class BrowserFingerprint {
+  constructor(options = {}) {
+    this.options = options;
+    this.apiKey = options.apiKey;
+    this.cookieName = options.cookieName || "smbfjs_id";
+    this.cookieDays = options.cookieDays || 365;
+    this.domains = options.domains || [];
+    this.secureCookie = options.secure;
+    this.sameSite = options.sameSite || "Lax";
+    this.bridge = options.bridge ? new CookieBridge(options.bridge) : null;
+    this.storage = new VisitorStorage(this, options.storage);
+    this.cache =
+      options.cache === false ? null : new ComponentCache(this, options);
+
+    // Fuzzy matching against the last snapshot
+    this.matchThreshold =
+      options.matchThreshold !== undefined ? options.matchThreshold : 0.8;
+    // Filled in per component by addComponent, componentWeights wins
+    this.componentWeights = utils.assign({}, options.componentWeights);
+
+    this.botThreshold = options.botThreshold;
+    this.lieDetection = options.lieDetection !== false;
+    this.entropyTable = utils.assign(
+      {},
+      defaultEntropyTable,
+      options.entropyTable
+    );
+
+    // Consent: "implied" collects everything unless a privacy signal is set,
+    // "required" waits for setConsent()
+    this.consentMode = options.consentMode || "implied";
+    this.respectPrivacySignals = options.respectPrivacySignals !== false;
+    this.consent = utils.assign({}, options.consent);
+
+    // Re-validation of stored IDs: "always", "sampled" or "interval"
+    this.revalidate = options.revalidate || false;
+    this.revalidateRate =
+      options.revalidateRate !== undefined ? options.revalidateRate : 0.1;
+    this.revalidateDays = options.revalidateDays || 7;
+
+    // Global deadline for a whole collection run, and the default deadline
+    // for a single component (overridable per key via componentTimeouts)
+    this.timeout = options.timeout || 10000;
+    this.componentTimeout = options.componentTimeout || 5000;
+    this.componentTimeouts = options.componentTimeouts || {};
+
+    // API key verification
+    this.verifyUrl = options.verifyUrl || null;
+    this.verifyTimeout = options.verifyTimeout || 5000;
+    this.verifyRetries =
+      options.verifyRetries !== undefined ? options.verifyRetries : 2;
+    this.verifyCacheTtl =
+      options.verifyCacheTtl !== undefined
+        ? options.verifyCacheTtl
+        : 24 * 60 * 60 * 1000;
+    this.failOpen = options.failOpen || false;
+    this._verifiedUntil = 0;
+
+    // "background" yields to the page between components, "immediate"
+    // starts them all at once
+    this.priority = options.priority || "background";
+    if (this.priority !== "background" && this.priority !== "immediate") {
+      throw new Error(`Unknown priority: ${this.priority}`);
+    }
+
+    this.hashAlgorithm = options.hashAlgorithm || "murmur3";
+    if (!hashAlgorithms[this.hashAlgorithm]) {
+      throw new Error(`Unknown hash algorithm: ${this.hashAlgorithm}`);
+    }
+
+    if (!this.apiKey) {
+      throw new Error("API key is required");
+    }
+
+    this.components = [];
+    this.listeners = {};
+    this.plugins = [];
+  }
+
+  setCookie(value) {
+    cookieUtils.write(this.cookieName, value, {
+      days: this.cookieDays,
+      domains: this.domains,
+      secure: this.secureCookie,
+      sameSite: this.sameSite,
+    });
+  }
+
+  getCookie() {
+    return cookieUtils.read(this.cookieName);
+  }
+
+  // Verify the API key against verifyUrl. Successful verifications are cached
+  // for verifyCacheTtl, in localStorage only when consent allows writing; a
+  // 401/403 rejects with InvalidApiKeyError. When the endpoint is
+  // unreachable, failOpen decides whether collection continues.
+  async verifyApiKey() {
+    if (!this.verifyUrl) {
+      return true;
+    }
+
+    const cacheKey = `${this.cookieName}_verified`;
+    const cacheHash = hashUtils.murmur3(`${this.verifyUrl}|${this.apiKey}`);
+    const persist = this._canPersist(this.getConsent());
+
+    if (this._verifiedUntil > Date.now()) {
+      return true;
+    }
+
+    const cached = persist ? this._readVerification(cacheKey) : null;
+    if (cached && cached.hash === cacheHash && cached.expires > Date.now()) {
+      this._verifiedUntil = cached.expires;
+      return true;
+    }
+
+    let response;
+    try {
+      response = await promiseUtils.retry(
+        () =>
+          promiseUtils
+            .withTimeout(
+              fetch(this.verifyUrl, {
+                method: "POST",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify({ apiKey: this.apiKey }),
+              }),
+              this.verifyTimeout
+            )
+            .then((res) => {
+              // Only server errors are worth retrying
+              if (!res.ok && res.status !== 401 && res.status !== 403) {
+                throw new Error(
+                  `API key verification failed with status ${res.status}`
+                );
+              }
+              return res;
+            }),
+        this.verifyRetries,
+        1000
+      );
+    } catch (error) {
+      if (this.failOpen) {
+        return true;
+      }
+      throw error;
+    }
+
+    if (response.status === 401 || response.status === 403) {
+      this._verifiedUntil = 0;
+      if (persist) {
+        this._writeVerification(cacheKey, null);
+      }
+      throw new InvalidApiKeyError("Invalid API key", response.status);
+    }
+
+    this._verifiedUntil = Date.now() + this.verifyCacheTtl;
+    if (persist) {
+      this._writeVerification(cacheKey, {
+        hash: cacheHash,
+        expires: this._verifiedUntil,
+      });
+    }
+    return true;
+  }
+
+  _readVerification(cacheKey) {
+    try {
+      return JSON.parse(localStorage.getItem(cacheKey));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  _writeVerification(cacheKey, value) {
+    try {
+      if (value) {
+        localStorage.setItem(cacheKey, JSON.stringify(value));
+      } else {
+        localStorage.removeItem(cacheKey);
+      }
+    } catch (e) {
+      // Storage unavailable (private mode, sandboxed iframe)
+    }
+  }
+
+  // Consent for { analytics, fingerprinting }. Takes effect on the next
+  // get(), so granting consent later upgrades to full collection.
+  setConsent(consent = {}) {
+    utils.assign(this.consent, consent);
+    return this;
+  }
+
+  // Nothing is written to cookies or storage without both kinds of consent
+  _canPersist(consent) {
+    return consent.analytics && consent.fingerprinting;
+  }
+
+  // Effective consent: explicit choices first, then Global Privacy Control
+  // and Do Not Track, then consentMode
+  getConsent() {
+    const signal = this.respectPrivacySignals && utils.privacySignal();
+    const effective = (kind) => {
+      if (typeof this.consent[kind] === "boolean") {
+        return this.consent[kind];
+      }
+      return !signal && this.consentMode !== "required";
+    };
+    return {
+      analytics: effective("analytics"),
+      fingerprinting: effective("fingerprinting"),
+    };
+  }
+
+  // Events: componentCollected (every result, failed ones included),
+  // visitorIdCreated, visitorIdChanged and error. Returns a function that
+  // removes the listener.
+  on(event, listener) {
+    if (eventNames.indexOf(event) < 0) {
+      throw new Error(`Unknown event: ${event}`);
+    }
+    this.listeners[event] = this.listeners[event] || [];
+    this.listeners[event].push(listener);
+    return () => this.off(event, listener);
+  }
+
+  off(event, listener) {
+    const listeners = this.listeners[event] || [];
+    const index = listeners.indexOf(listener);
+    if (index >= 0) {
+      listeners.splice(index, 1);
+    }
+    return this;
+  }
+
+  // A throwing listener never breaks collection, it is reported as an error
+  _emit(event, data) {
+    for (const listener of (this.listeners[event] || []).slice()) {
+      try {
+        listener(data);
+      } catch (error) {
+        if (event !== "error") {
+          this._emit("error", { event, error });
+        }
+      }
+    }
+  }
+
+  // A plugin is an object with an optional setup(bf), called once, and any
+  // of the beforeCollect, afterCollect and beforeHash hooks
+  use(plugin) {
+    this.plugins.push(plugin);
+    if (typeof plugin.setup === "function") {
+      plugin.setup(this);
+    }
+    return this;
+  }
+
+  // Hooks run in plugin order, each receiving the previous output.
+  // Returning undefined keeps the value as it is.
+  async _runHook(name, value) {
+    for (const plugin of this.plugins) {
+      if (typeof plugin[name] === "function") {
+        const result = await plugin[name](value, this);
+        if (result !== undefined) {
+          value = result;
+        }
+      }
+    }
+    return value;
+  }
+
+  // Options: key, timeout, stable (feeds the visitorId), weight (share in
+  // fuzzy matching) and lowEntropy (collected without consent)
+  // Without options.key the key is taken from the component's first result
+  addComponent(component, options = {}) {
+    const key = options.key || component.key || null;
+    const timeout =
+      options.timeout ||
+      (key && this.componentTimeouts[key]) ||
+      this.componentTimeout;
+    const stable = !!options.stable;
+    const weight = options.weight !== undefined ? options.weight : 1;
+    const lowEntropy = !!options.lowEntropy;
+
+    const entry = { key: null, component, timeout, stable, weight, lowEntropy };
+    if (key) {
+      this._setComponentKey(entry, key);
+    }
+    this.components.push(entry);
+    return this;
+  }
+
+  _setComponentKey(entry, key) {
+    entry.key = key;
+    if (this.componentWeights[key] === undefined) {
+      this.componentWeights[key] = entry.weight;
+    }
+  }
+
+  // Bot and automation detection. Reuses the components of a previous get()
+  // when given and collects whatever signals are missing.
+  async detectBot(components = []) {
+    const deadline = utils.now() + this.timeout;
+    const keys = components.map((c) => c.key);
+    const missing = Object.keys(BotDetector.components).filter(
+      (key) => keys.indexOf(key) < 0
+    );
+    const collected = await Promise.all(
+      missing.map((key) =>
+        this._runComponent(
+          {
+            key,
+            component: new BotDetector.components[key](),
+            timeout: this.componentTimeout,
+          },
+          deadline
+        )
+      )
+    );
+
+    return new BotDetector({ threshold: this.botThreshold }).detect(
+      components.concat(collected)
+    );
+  }
+
+  // Run every component under its own timeout. Failures and timeouts are
+  // reported on the component entry instead of rejecting the whole run.
+  async collect(lowEntropyOnly = false) {
+    let deadline = utils.now() + this.timeout;
+    const entries = await this._runHook(
+      "beforeCollect",
+      lowEntropyOnly
+        ? this.components.filter((entry) => entry.lowEntropy)
+        : this.components.slice()
+    );
+
+    // Caching stores data on the device
+    const cache =
+      this.cache && this._canPersist(this.getConsent()) ? this.cache : null;
+    const signature = cache ? this._cacheSignature() : null;
+    const cached = cache ? cache.read(signature) : {};
+
+    const pending = [];
+    webglUtils.begin();
+    for (const entry of entries) {
+      if (cached[entry.key]) {
+        const result = utils.assign({}, cached[entry.key], {
+          cached: true,
+          duration: 0,
+          blocking: 0,
+        });
+        this._emit("componentCollected", result);
+        pending.push(result);
+        continue;
+      }
+      // In the background each component's synchronous part gets a task of
+      // its own; async work still overlaps. Time spent yielding does not
+      // count against the deadline.
+      if (this.priority === "background") {
+        const yielded = utils.now();
+        await schedulerUtils.yield();
+        deadline += utils.now() - yielded;
+      }
+      pending.push(this._runComponent(entry, deadline));
+    }
+
+    let components;
+    try {
+      components = await Promise.all(pending);
+    } finally {
+      webglUtils.end();
+    }
+    if (cache) {
+      cache.write(signature, components);
+    }
+    return this._runHook("afterCollect", components);
+  }
+
+  clearCache() {
+    if (this.cache) {
+      this.cache.clear();
+    }
+  }
+
+  _cacheSignature() {
+    return hashUtils.murmur3(
+      JSON.stringify([
+        libraryVersion,
+        this.components.map((entry) => [
+          entry.key,
+          entry.component.constructor.name,
+          entry.stable,
+          entry.lowEntropy,
+        ]),
+      ])
+    );
+  }
+
+  // blocking is the time the synchronous part of get() held the main thread.
+  // Work after the component's first await is not included.
+  async _runComponent(entry, deadline) {
+    const start = utils.now();
+    const timeout = Math.max(0, Math.min(entry.timeout, deadline - start));
+    let blocking = 0;
+
+    let result;
+    try {
+      const collected = await promiseUtils.withTimeout(
+        Promise.resolve().then(() => {
+          const called = utils.now();
+          try {
+            return entry.component.get();
+          } finally {
+            blocking = utils.now() - called;
+          }
+        }),
+        timeout
+      );
+      ComponentRegistry.validateResult(entry.key, collected);
+      if (!entry.key) {
+        this._setComponentKey(entry, collected.key);
+      }
+      result = utils.assign({ key: entry.key }, collected, {
+        duration: utils.now() - start,
+        blocking,
+      });
+    } catch (error) {
+      result = {
+        key: entry.key,
+        value: null,
+        error: error && error.message ? error.message : String(error),
+        duration: utils.now() - start,
+        blocking,
+      };
+      this._emit("error", { key: entry.key, error });
+    }
+
+    this._emit("componentCollected", result);
+    return result;
+  }
+
+  _blockingTime(components) {
+    return components.reduce((total, c) => total + (c.blocking || 0), 0);
+  }
+
+  async get() {
+    try {
+      return await this._get();
+    } catch (error) {
+      this._emit("error", { error });
+      throw error;
+    }
+  }
+
+  async _get() {
+    await this.verifyApiKey();
+
+    // Stored IDs may be read with analytics consent, but a new ID is only
+    // persisted when it was computed from the full component set
+    const consent = this.getConsent();
+    const persist = this._canPersist(consent);
+
+    // Stores that lost their copy are only healed when writing is allowed
+    const stored = consent.analytics
+      ? await this.storage.read(persist)
+      : { visitorId: null, agreed: [], healed: [] };
+    let visitorId = stored.visitorId;
+
+    // Fall back to the visitorId shared by the cross-domain bridge
+    if (!visitorId && this.bridge && consent.analytics) {
+      visitorId = await this.bridge.get();
+      if (visitorId) {
+        if (persist) {
+          await this.storage.write(visitorId);
+        }
+        return {
+          visitorId,
+          fromBridge: true,
+          consent,
+        };
+      }
+    }
+
+    if (!visitorId) {
+      // Without fingerprinting consent only the low-entropy tier is collected
+      const components = await this.collect(!consent.fingerprinting);
+      const lies = consent.fingerprinting
+        ? await this.detectLies(components)
+        : {};
+
+      const stableComponents = await this._runHook(
+        "beforeHash",
+        this._stableComponents(components)
+      );
+      const hash = await this.hashComponents(stableComponents);
+      const match = persist
+        ? await this.matchSnapshot(hash, stableComponents)
+        : { visitorId: hash, confidence: null, changed: [] };
+      visitorId = match.visitorId;
+
+      if (persist) {
+        if (!match.previousVisitorId) {
+          this._emit("visitorIdCreated", { visitorId });
+        } else if (match.previousVisitorId !== visitorId) {
+          this._emit("visitorIdChanged", {
+            visitorId,
+            previousVisitorId: match.previousVisitorId,
+            changed: match.changed,
+          });
+        }
+        await this.storage.write(visitorId);
+        await this.storage.writeSnapshot(match.snapshot);
+        if (this.bridge) {
+          await this.bridge.set(visitorId);
+        }
+      }
+
+      return {
+        visitorId,
+        confidence: match.confidence,
+        changed: match.changed,
+        lies,
+        components,
+        blockingTime: this._blockingTime(components),
+        consent,
+      };
+    }
+
+    const result = {
+      visitorId,
+      fromCookie: stored.agreed.indexOf("cookie") >= 0,
+      fromStorage: true,
+      storage: {
+        agreed: stored.agreed,
+        healed: stored.healed,
+      },
+      consent,
+    };
+
+    // Recollect in the background to check the stored ID still fits
+    if (
+      consent.fingerprinting &&
+      this._shouldRevalidate(await this.storage.readSnapshot())
+    ) {
+      result.revalidation = this.revalidateVisitor(visitorId);
+    }
+
+    return result;
+  }
+
+  // Check a stored visitorId against freshly collected components. Resolves
+  // to { components, confidence, changed, diff, cookieMismatch }, where
+  // cookieMismatch means the ID most likely comes from a different device
+  // and is null when nothing vouches either way. Never rejects: get() callers
+  // usually ignore result.revalidation, so failures resolve to { error,
+  // cookieMismatch: null } and are emitted as error events.
+  async revalidateVisitor(visitorId) {
+    try {
+      return await this._revalidateVisitor(visitorId);
+    } catch (error) {
+      this._emit("error", { error });
+      return {
+        error: error && error.message ? error.message : String(error),
+        cookieMismatch: null,
+      };
+    }
+  }
+
+  async _revalidateVisitor(visitorId) {
+    const components = await this.collect();
+    const lies = await this.detectLies(components);
+    const stableComponents = await this._runHook(
+      "beforeHash",
+      this._stableComponents(components)
+    );
+    const hash = await this.hashComponents(stableComponents);
+    const values = this._snapshotValues(stableComponents);
+    const previous = await this.storage.readSnapshot();
+
+    let result;
+    if (hash === visitorId) {
+      result = { score: 1, changed: [] };
+    } else if (
+      previous &&
+      previous.visitorId === visitorId &&
+      previous.values
+    ) {
+      result = matchUtils.compare(
+        previous.values,
+        values,
+        this.componentWeights
+      );
+    } else {
+      // Neither the hash nor a local snapshot vouches for this ID, e.g. a
+      // bridged ID or storage.snapshot: false
+      result = { score: null, changed: null };
+    }
+
+    const cookieMismatch =
+      result.score === null ? null : result.score < this.matchThreshold;
+    const diff = {};
+    for (const key of result.changed || []) {
+      diff[key] = { expected: previous.values[key], actual: values[key] };
+    }
 
-    if (!this.apiKey) {
-      throw new Error("API key is required");
+    if (cookieMismatch === false) {
+      await this.storage.writeSnapshot({
+        visitorId,
+        values,
+        validated: Date.now(),
+      });
     }
 
-    this.components = [];
+    return {
+      components,
+      confidence: result.score,
+      changed: result.changed,
+      diff: result.changed ? diff : null,
+      cookieMismatch,
+      lies,
+      blockingTime: this._blockingTime(components),
+    };
   }
 
-  setCookie(value) {
-    const date = new Date();
-    date.setTime(date.getTime() + this.cookieDays * 24 * 60 * 60 * 1000);
-    const expires = `expires=${date.toUTCString()}`;
-    document.cookie = `${this.cookieName}=${value};${expires};path=/;SameSite=Lax`;
+  _shouldRevalidate(snapshot) {
+    switch (this.revalidate) {
+      case "always":
+        return true;
+      case "sampled":
+        return Math.random() < this.revalidateRate;
+      case "interval":
+        return (
+          !snapshot ||
+          !snapshot.validated ||
+          Date.now() - snapshot.validated >=
+            this.revalidateDays * 24 * 60 * 60 * 1000
+        );
+      default:
+        return false;
+    }
   }
 
-  getCookie() {
-    const name = `${this.cookieName}=`;
-    const decodedCookie = decodeURIComponent(document.cookie);
-    const cookies = decodedCookie.split(";");
-    for (let cookie of cookies) {
-      while (cookie.charAt(0) === " ") {
-        cookie = cookie.substring(1);
+  // Estimated identifying power of the components in a get() result. Values
+  // found in the entropy table count as -log2(share of browsers), others
+  // get the component's average bits. Components are treated as independent,
+  // so totals are an upper bound.
+  explain(result) {
+    if (!result || !Array.isArray(result.components)) {
+      throw new Error("explain() needs a result with components");
+    }
+
+    const stableKeys = this._stableComponents(result.components).map(
+      (c) => c.key
+    );
+
+    const components = result.components.map((c) => {
+      const entry = this.entropyTable[c.key];
+      const inVisitorId = stableKeys.indexOf(c.key) >= 0;
+      let bits = null;
+      let source = "unknown";
+
+      if (c.error) {
+        bits = 0;
+        source = "error";
+      } else if (entry) {
+        const share = entry.values && entry.values[this._entropyValue(c.value)];
+        if (share) {
+          bits = -Math.log2(share);
+          source = "value";
+        } else {
+          bits = entry.bits;
+          source = "average";
+        }
       }
-      if (cookie.indexOf(name) === 0) {
-        return cookie.substring(name.length, cookie.length);
+
+      return {
+        key: c.key,
+        bits,
+        source,
+        stability: entry ? entry.stability : null,
+        inVisitorId,
+        contribution: 0,
+      };
+    });
+
+    const visitorIdBits = components
+      .filter((c) => c.inVisitorId)
+      .reduce((sum, c) => sum + (c.bits || 0), 0);
+    for (const c of components) {
+      if (c.inVisitorId && visitorIdBits) {
+        c.contribution = (c.bits || 0) / visitorIdBits;
       }
     }
-    return null;
-  }
 
-  async verifyApiKey() {
-    // TODO: Implement API key verification logic here
-    return true;
+    return {
+      totalBits: components.reduce((sum, c) => sum + (c.bits || 0), 0),
+      visitorIdBits,
+      components: components.sort((a, b) => (b.bits || 0) - (a.bits || 0)),
+    };
   }
 
-  addComponent(component) {
-    this.components.push(component);
-    return this;
+  _entropyValue(value) {
+    return value !== null && typeof value === "object"
+      ? hashUtils.murmur3(JSON.stringify(value))
+      : String(value);
   }
 
-  async get() {
-    await this.verifyApiKey();
-
-    let visitorId = this.getCookie();
+  // Mark components with spoofing findings as tampered. Resolves to the
+  // findings per component key.
+  async detectLies(components) {
+    if (!this.lieDetection) {
+      return {};
+    }
 
-    if (!visitorId) {
-      const components = await Promise.all(this.components.map((c) => c.get()));
-
-      const stableComponents = components.filter((c) =>
-        [
-          "userAgent",
-          "hardwareConcurrency",
-          "deviceMemory",
-          "language",
-          "colorDepth",
-          "pixelRatio",
-          "videoCard",
-          "canvas",
-          "webgl",
-          "fonts",
-        ].includes(c.key)
+    let lies;
+    try {
+      lies = await promiseUtils.withTimeout(
+        new LieDetector().detect(components),
+        this.componentTimeout
       );
+    } catch (e) {
+      return {};
+    }
+
+    for (const c of components) {
+      if (lies[c.key]) {
+        c.tampered = true;
+      }
+    }
+    return lies;
+  }
+
+  // Components that failed, timed out or were tampered with are left out of
+  // the hash
+  _stableComponents(components) {
+    const stableKeys = this.components
+      .filter((entry) => entry.stable)
+      .map((entry) => entry.key);
+    return components.filter(
+      (c) => !c.error && !c.tampered && stableKeys.indexOf(c.key) >= 0
+    );
+  }
+
+  // Only hashes of the values are stored on the device
+  _snapshotValues(stableComponents) {
+    const values = {};
+    for (const c of stableComponents) {
+      // Hashing would hide the version numbers matchUtils.userAgent ignores
+      values[c.key] =
+        c.key === "userAgent" && typeof c.value === "string"
+          ? {
+              full: hashUtils.leaves(c.value),
+              versionless: hashUtils.leaves(matchUtils.versionless(c.value)),
+            }
+          : hashUtils.leaves(c.value);
+    }
+    return values;
+  }
 
-      visitorId = this.hashComponents(stableComponents);
-      this.setCookie(visitorId);
+  // Compare freshly collected stable components against the last snapshot.
+  // The previous visitorId is kept while the weighted similarity stays at or
+  // above matchThreshold, otherwise the fresh hash becomes the visitorId and
+  // confidence is null.
+  async matchSnapshot(hash, stableComponents) {
+    const values = this._snapshotValues(stableComponents);
 
+    const previous = await this.storage.readSnapshot();
+    if (!previous || !previous.visitorId || !previous.values) {
       return {
-        visitorId,
-        components,
+        visitorId: hash,
+        confidence: null,
+        changed: [],
+        previousVisitorId: null,
+        snapshot: { visitorId: hash, values, validated: Date.now() },
       };
     }
 
+    const result = matchUtils.compare(
+      previous.values,
+      values,
+      this.componentWeights
+    );
+    const matched = result.score >= this.matchThreshold;
+    const visitorId = matched ? previous.visitorId : hash;
+
     return {
       visitorId,
-      fromCookie: true,
+      confidence: matched ? result.score : null,
+      changed: result.changed,
+      previousVisitorId: previous.visitorId,
+      snapshot: { visitorId, values, validated: Date.now() },
     };
   }
 
-  hashComponents(components) {
-    const str = JSON.stringify(components.map((c) => c.value));
-    let hash = 0;
-    for (let i = 0; i < str.length; i++) {
-      const char = str.charCodeAt(i);
-      hash = (hash << 5) - hash + char;
-      hash = hash & hash;
-    }
-    return hash.toString(16);
+  // The prefix records the algorithm actually used
+  async hashComponents(components) {
+    return hashUtils.components(components, this.hashAlgorithm);
   }
 }
 
@@ -199,6 +1997,82 @@ const components = {
     }
   },
 
+  languages: class {
+    get() {
+      return {
+        key: "languages",
+        value: navigator.languages ? Array.from(navigator.languages) : null,
+      };
+    }
+  },
+
+  // IANA timezone plus the January and July offsets, which capture DST
+  // behaviour where the timezone name is unavailable
+  timezone: class {
+    get() {
+      const year = new Date().getFullYear();
+      const january = new Date(year, 0, 1).getTimezoneOffset();
+      const july = new Date(year, 6, 1).getTimezoneOffset();
+      let timeZone = null;
+      try {
+        timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone || null;
+      } catch (e) {
+        // Intl unavailable
+      }
+
+      return {
+        key: "timezone",
+        value: {
+          timeZone,
+          offsets: [january, july],
+          dst: january !== july,
+        },
+        details: {
+          languageMismatch: localeUtils.timezoneMismatch(
+            timeZone,
+            navigator.language
+          ),
+        },
+      };
+    }
+  },
+
+  // Default Intl formatting and collation outputs. Dates are formatted in
+  // UTC so the output does not depend on the timezone.
+  intl: class {
+    get() {
+      if (typeof Intl === "undefined") {
+        return { key: "intl", value: null };
+      }
+
+      const date = new Date(Date.UTC(2020, 11, 31, 13, 45, 30));
+      const dateOptions = new Intl.DateTimeFormat().resolvedOptions();
+      const numberOptions = new Intl.NumberFormat().resolvedOptions();
+
+      return {
+        key: "intl",
+        value: {
+          locale: dateOptions.locale,
+          calendar: dateOptions.calendar,
+          numberingSystem: numberOptions.numberingSystem,
+          hourCycle:
+            new Intl.DateTimeFormat(undefined, {
+              hour: "numeric",
+            }).resolvedOptions().hourCycle || null,
+          number: new Intl.NumberFormat().format(1234567.891),
+          currency: new Intl.NumberFormat(undefined, {
+            style: "currency",
+            currency: "USD",
+          }).format(-1234.5),
+          date: date.toLocaleString(undefined, { timeZone: "UTC" }),
+          collation: ["a", "Z", "ä", "ß", "é", "ø", "1", "_"]
+            .sort(new Intl.Collator().compare)
+            .join(""),
+        },
+      };
+    }
+  },
+
   colorDepth: class {
     get() {
       return {
@@ -208,6 +2082,91 @@ const components = {
     }
   },
 
+  screen: class {
+    // Only the size in device pixels feeds the value: browser zoom scales
+    // CSS pixels and devicePixelRatio together, and the available area and
+    // frame insets move with the taskbar
+    get() {
+      const s = window.screen;
+      const ratio = window.devicePixelRatio || 1;
+      const device = (n) => Math.round((n * ratio) / 10) * 10;
+      const round = (n) =>
+        typeof n === "number" ? Math.round(n / 10) * 10 : null;
+      const availTop = s.availTop || 0;
+      const availLeft = s.availLeft || 0;
+
+      return {
+        key: "screen",
+        value: {
+          size: [device(s.width), device(s.height)].sort((a, b) => b - a),
+        },
+        details: {
+          width: s.width,
+          height: s.height,
+          availSize: [s.availWidth, s.availHeight].sort((a, b) => b - a),
+          frame: [
+            round(availTop),
+            round(s.width - s.availWidth - availLeft),
+            round(s.height - s.availHeight - availTop),
+            round(availLeft),
+          ],
+          orientation: s.orientation ? s.orientation.type : null,
+        },
+      };
+    }
+  },
+
+  // CSS media-query user preferences
+  mediaPreferences: class {
+    get() {
+      const match = (feature, values) => {
+        for (const value of values) {
+          if (matchMedia(`(${feature}: ${value})`).matches) {
+            return value;
+          }
+        }
+        return null;
+      };
+
+      let monochrome = 0;
+      if (matchMedia("(min-monochrome: 1)").matches) {
+        for (let bits = 1; bits <= 16; bits++) {
+          if (matchMedia(`(monochrome: ${bits})`).matches) {
+            monochrome = bits;
+            break;
+          }
+        }
+      }
+
+      return {
+        key: "mediaPreferences",
+        value: {
+          colorScheme: match("prefers-color-scheme", ["dark", "light"]),
+          reducedMotion: match("prefers-reduced-motion", [
+            "reduce",
+            "no-preference",
+          ]),
+          reducedTransparency: match("prefers-reduced-transparency", [
+            "reduce",
+            "no-preference",
+          ]),
+          contrast: match("prefers-contrast", [
+            "more",
+            "less",
+            "custom",
+            "no-preference",
+          ]),
+          forcedColors: match("forced-colors", ["active", "none"]),
+          invertedColors: match("inverted-colors", ["inverted", "none"]),
+          dynamicRange: match("dynamic-range", ["high", "standard"]),
+          anyPointer: match("any-pointer", ["fine", "coarse", "none"]),
+          anyHover: match("any-hover", ["hover", "none"]),
+          monochrome,
+        },
+      };
+    }
+  },
+
   deviceMemory: class {
     get() {
       return {
@@ -236,33 +2195,202 @@ const components = {
   },
 };
 
-// Canvas fingerprinting
+// User-Agent Client Hints. Only the major versions and device class feed
+// the value; full versions and the platform version go to details.
+class ClientHintsFingerprint {
+  async get() {
+    const uaData = navigator.userAgentData;
+    if (!uaData || !Array.isArray(uaData.brands)) {
+      return this._fromUserAgent(navigator.userAgent || "");
+    }
+
+    let high = {};
+    if (typeof uaData.getHighEntropyValues === "function") {
+      try {
+        high = await uaData.getHighEntropyValues([
+          "platformVersion",
+          "architecture",
+          "bitness",
+          "model",
+          "fullVersionList",
+        ]);
+      } catch (e) {
+        // Blocked by Permissions-Policy or the browser
+      }
+    }
+
+    return {
+      key: "clientHints",
+      value: {
+        brands: this._brands(uaData.brands),
+        platform: uaData.platform || null,
+        mobile: !!uaData.mobile,
+        architecture: high.architecture || null,
+        bitness: high.bitness || null,
+        model: high.model || null,
+      },
+      details: {
+        source: "userAgentData",
+        platformVersion: high.platformVersion || null,
+        fullVersionList: high.fullVersionList
+          ? this._brands(high.fullVersionList, true)
+          : null,
+      },
+    };
+  }
+
+  // Sorted brands without the GREASE entries, which change between releases
+  _brands(brands, full = false) {
+    return brands
+      .filter((b) => !/Not.?A.?Brand/i.test(b.brand))
+      .map((b) => ({
+        brand: b.brand,
+        version: full ? b.version : String(b.version).split(".")[0],
+      }))
+      .sort((a, b) => (a.brand < b.brand ? -1 : a.brand > b.brand ? 1 : 0));
+  }
+
+  // Browsers without userAgentData (Firefox, Safari) get the same shape
+  // parsed from the user agent string
+  _fromUserAgent(ua) {
+    const browsers = [
+      ["Microsoft Edge", /Edg(?:e|A|iOS)?\/([\d.]+)/],
+      ["Opera", /OPR\/([\d.]+)/],
+      ["Samsung Internet", /SamsungBrowser\/([\d.]+)/],
+      ["Firefox", /(?:Firefox|FxiOS)\/([\d.]+)/],
+      ["Google Chrome", /(?:Chrome|CriOS)\/([\d.]+)/],
+      ["Safari", /Version\/([\d.]+).*Safari\//],
+    ];
+    const brands = [];
+    for (const [brand, pattern] of browsers) {
+      const match = ua.match(pattern);
+      if (match) {
+        brands.push({ brand, version: match[1] });
+        break;
+      }
+    }
+
+    let platform = null;
+    if (/Windows/.test(ua)) {
+      platform = "Windows";
+    } else if (/Android/.test(ua)) {
+      platform = "Android";
+    } else if (/iPhone|iPad|iPod/.test(ua)) {
+      platform = "iOS";
+    } else if (/CrOS/.test(ua)) {
+      platform = "Chrome OS";
+    } else if (/Macintosh|Mac OS X/.test(ua)) {
+      platform = "macOS";
+    } else if (/Linux/.test(ua)) {
+      platform = "Linux";
+    }
+
+    let bitness = null;
+    if (/Win64|x64|WOW64|x86_64|amd64|aarch64|arm64/i.test(ua)) {
+      bitness = "64";
+    }
+
+    return {
+      key: "clientHints",
+      value: {
+        brands: this._brands(brands),
+        platform,
+        mobile: /Mobi|Android|iPhone|iPod/.test(ua),
+        architecture: null,
+        bitness,
+        model: null,
+      },
+      details: {
+        source: "userAgent",
+        platformVersion: null,
+        fullVersionList: brands.length ? brands : null,
+      },
+    };
+  }
+}
+
+// Canvas fingerprinting. The text and geometry scenes are hashed and
+// reported separately. Each is rendered twice, and a scene whose renders
+// differ is reported as unstable with a null hash, so noisy text rendering
+// does not change the value while geometry still contributes.
 class CanvasFingerprint {
   get() {
+    const winding = this._winding();
+    const unstable = [];
+    const value = { winding };
+
+    for (const scene of ["text", "geometry"]) {
+      const first = this._render(scene);
+      const second = this._render(scene);
+      if (first === second) {
+        value[scene] = hashUtils.murmur3(first);
+      } else {
+        value[scene] = null;
+        unstable.push(scene);
+      }
+    }
+
+    return {
+      key: "canvas",
+      value,
+      details: { unstable },
+    };
+  }
+
+  _render(scene) {
     const canvas = document.createElement("canvas");
     const ctx = canvas.getContext("2d");
 
-    // Draw test shapes and text
-    canvas.width = 240;
-    canvas.height = 60;
+    if (scene === "text") {
+      canvas.width = 240;
+      canvas.height = 60;
 
-    ctx.textBaseline = "alphabetic";
-    ctx.fillStyle = "#f60";
-    ctx.fillRect(100, 1, 62, 20);
+      ctx.textBaseline = "alphabetic";
+      ctx.fillStyle = "#f60";
+      ctx.fillRect(100, 1, 62, 20);
 
-    ctx.fillStyle = "#069";
-    ctx.font = '11pt "Times New Roman"';
-    const text = "Cwm fjordbank gly " + String.fromCharCode(55357, 56835);
-    ctx.fillText(text, 2, 15);
+      ctx.fillStyle = "#069";
+      ctx.font = '11pt "Times New Roman"';
+      const text = "Cwm fjordbank gly " + String.fromCharCode(55357, 56835);
+      ctx.fillText(text, 2, 15);
 
-    ctx.fillStyle = "rgba(102, 204, 0, 0.2)";
-    ctx.font = "18pt Arial";
-    ctx.fillText(text, 4, 45);
+      ctx.fillStyle = "rgba(102, 204, 0, 0.2)";
+      ctx.font = "18pt Arial";
+      ctx.fillText(text, 4, 45);
+    } else {
+      canvas.width = 122;
+      canvas.height = 110;
 
-    return {
-      key: "canvas",
-      value: canvas.toDataURL(),
-    };
+      // Overlapping circles under a blend mode
+      ctx.globalCompositeOperation = "multiply";
+      for (const [color, x, y] of [
+        ["#f2f", 40, 40],
+        ["#2ff", 80, 40],
+        ["#ff2", 60, 80],
+      ]) {
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        ctx.arc(x, y, 40, 0, Math.PI * 2, true);
+        ctx.closePath();
+        ctx.fill();
+      }
+
+      // Even-odd winding cut-out
+      ctx.fillStyle = "#f9c";
+      ctx.beginPath();
+      ctx.arc(60, 60, 60, 0, Math.PI * 2, true);
+      ctx.arc(60, 60, 20, 0, Math.PI * 2, true);
+      ctx.fill("evenodd");
+    }
+
+    return canvas.toDataURL();
+  }
+
+  _winding() {
+    const ctx = document.createElement("canvas").getContext("2d");
+    ctx.rect(0, 0, 10, 10);
+    ctx.rect(2, 2, 6, 6);
+    return ctx.isPointInPath(5, 5, "evenodd") === false;
   }
 }
 
@@ -309,14 +2437,253 @@ class AudioFingerprint {
   }
 }
 
+// Shared WebGL context. Everything the WebGL components need is read from
+// one context, which is released right after. Components collected in the
+// same task share the result.
+const webglUtils = {
+  // The WebGL and videoCard components share one context per collect()
+  _cached: undefined,
+  _collecting: 0,
+
+  parameters: [
+    "VERSION",
+    "SHADING_LANGUAGE_VERSION",
+    "ALIASED_LINE_WIDTH_RANGE",
+    "ALIASED_POINT_SIZE_RANGE",
+    "RED_BITS",
+    "GREEN_BITS",
+    "BLUE_BITS",
+    "ALPHA_BITS",
+    "DEPTH_BITS",
+    "STENCIL_BITS",
+    "MAX_COMBINED_TEXTURE_IMAGE_UNITS",
+    "MAX_CUBE_MAP_TEXTURE_SIZE",
+    "MAX_FRAGMENT_UNIFORM_VECTORS",
+    "MAX_RENDERBUFFER_SIZE",
+    "MAX_TEXTURE_IMAGE_UNITS",
+    "MAX_TEXTURE_SIZE",
+    "MAX_VARYING_VECTORS",
+    "MAX_VERTEX_ATTRIBS",
+    "MAX_VERTEX_TEXTURE_IMAGE_UNITS",
+    "MAX_VERTEX_UNIFORM_VECTORS",
+    "MAX_VIEWPORT_DIMS",
+  ],
+
+  webgl2Parameters: [
+    "MAX_3D_TEXTURE_SIZE",
+    "MAX_ARRAY_TEXTURE_LAYERS",
+    "MAX_COLOR_ATTACHMENTS",
+    "MAX_COMBINED_FRAGMENT_UNIFORM_COMPONENTS",
+    "MAX_COMBINED_UNIFORM_BLOCKS",
+    "MAX_COMBINED_VERTEX_UNIFORM_COMPONENTS",
+    "MAX_DRAW_BUFFERS",
+    "MAX_ELEMENT_INDEX",
+    "MAX_ELEMENTS_INDICES",
+    "MAX_ELEMENTS_VERTICES",
+    "MAX_FRAGMENT_INPUT_COMPONENTS",
+    "MAX_FRAGMENT_UNIFORM_BLOCKS",
+    "MAX_FRAGMENT_UNIFORM_COMPONENTS",
+    "MAX_PROGRAM_TEXEL_OFFSET",
+    "MAX_SAMPLES",
+    "MAX_SERVER_WAIT_TIMEOUT",
+    "MAX_TEXTURE_LOD_BIAS",
+    "MAX_TRANSFORM_FEEDBACK_INTERLEAVED_COMPONENTS",
+    "MAX_TRANSFORM_FEEDBACK_SEPARATE_ATTRIBS",
+    "MAX_TRANSFORM_FEEDBACK_SEPARATE_COMPONENTS",
+    "MAX_UNIFORM_BLOCK_SIZE",
+    "MAX_UNIFORM_BUFFER_BINDINGS",
+    "MAX_VARYING_COMPONENTS",
+    "MAX_VERTEX_OUTPUT_COMPONENTS",
+    "MAX_VERTEX_UNIFORM_BLOCKS",
+    "MAX_VERTEX_UNIFORM_COMPONENTS",
+    "MIN_PROGRAM_TEXEL_OFFSET",
+    "UNIFORM_BUFFER_OFFSET_ALIGNMENT",
+  ],
+
+  begin: function () {
+    webglUtils._collecting++;
+  },
+
+  end: function () {
+    if (--webglUtils._collecting === 0) {
+      webglUtils._cached = undefined;
+    }
+  },
+
+  // Resolves to null when WebGL is unavailable
+  read: function () {
+    if (!webglUtils._collecting) {
+      return webglUtils._read();
+    }
+    if (webglUtils._cached === undefined) {
+      webglUtils._cached = webglUtils._read();
+    }
+    return webglUtils._cached;
+  },
+
+  _read: function () {
+    const canvas = document.createElement("canvas");
+    canvas.width = 64;
+    canvas.height = 64;
+
+    let version = 2;
+    let gl = canvas.getContext("webgl2");
+    if (!gl) {
+      version = 1;
+      gl =
+        canvas.getContext("webgl") || canvas.getContext("experimental-webgl");
+    }
+    if (!gl) {
+      return null;
+    }
+
+    try {
+      const debugInfo = gl.getExtension("WEBGL_debug_renderer_info");
+      const anisotropic =
+        gl.getExtension("EXT_texture_filter_anisotropic") ||
+        gl.getExtension("WEBKIT_EXT_texture_filter_anisotropic");
+
+      const parameters = webglUtils._parameters(gl, webglUtils.parameters);
+      if (anisotropic) {
+        parameters.MAX_TEXTURE_MAX_ANISOTROPY_EXT = gl.getParameter(
+          anisotropic.MAX_TEXTURE_MAX_ANISOTROPY_EXT
+        );
+      }
+
+      return {
+        version,
+        vendor: gl.getParameter(gl.VENDOR),
+        renderer: gl.getParameter(gl.RENDERER),
+        unmaskedVendor: debugInfo
+          ? gl.getParameter(debugInfo.UNMASKED_VENDOR_WEBGL)
+          : null,
+        unmaskedRenderer: debugInfo
+          ? gl.getParameter(debugInfo.UNMASKED_RENDERER_WEBGL)
+          : null,
+        extensions: gl.getSupportedExtensions() || [],
+        parameters,
+        webgl2Parameters:
+          version === 2
+            ? webglUtils._parameters(gl, webglUtils.webgl2Parameters)
+            : null,
+        precision: webglUtils._precision(gl),
+        renderHash: webglUtils._render(gl),
+      };
+    } finally {
+      const lose = gl.getExtension("WEBGL_lose_context");
+      if (lose) {
+        lose.loseContext();
+      }
+    }
+  },
+
+  _parameters: function (gl, names) {
+    const result = {};
+    for (const name of names) {
+      if (gl[name] === undefined) {
+        continue;
+      }
+      const value = gl.getParameter(gl[name]);
+      result[name] =
+        value && typeof value === "object" && "length" in value
+          ? Array.from(value)
+          : value;
+    }
+    return result;
+  },
+
+  // [rangeMin, rangeMax, precision] per shader and precision type
+  _precision: function (gl) {
+    const result = {};
+    for (const shader of ["VERTEX_SHADER", "FRAGMENT_SHADER"]) {
+      for (const type of [
+        "LOW_FLOAT",
+        "MEDIUM_FLOAT",
+        "HIGH_FLOAT",
+        "LOW_INT",
+        "MEDIUM_INT",
+        "HIGH_INT",
+      ]) {
+        const format = gl.getShaderPrecisionFormat(gl[shader], gl[type]);
+        result[`${shader}.${type}`] = format
+          ? [format.rangeMin, format.rangeMax, format.precision]
+          : null;
+      }
+    }
+    return result;
+  },
+
+  // Draws a fixed gradient scene and hashes the pixels read back
+  _render: function (gl) {
+    const compile = (type, source) => {
+      const shader = gl.createShader(type);
+      gl.shaderSource(shader, source);
+      gl.compileShader(shader);
+      return shader;
+    };
+
+    const program = gl.createProgram();
+    gl.attachShader(
+      program,
+      compile(
+        gl.VERTEX_SHADER,
+        "attribute vec2 position;varying vec2 uv;" +
+          "void main(){uv=position;gl_Position=vec4(position,0.0,1.0);}"
+      )
+    );
+    gl.attachShader(
+      program,
+      compile(
+        gl.FRAGMENT_SHADER,
+        "precision mediump float;varying vec2 uv;" +
+          "void main(){gl_FragColor=vec4(sin(uv.x*13.7)*0.5+0.5," +
+          "cos(uv.y*7.1)*0.5+0.5,fract(uv.x*uv.y*91.3),1.0);}"
+      )
+    );
+    gl.linkProgram(program);
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+      return null;
+    }
+    gl.useProgram(program);
+
+    const buffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+    gl.bufferData(
+      gl.ARRAY_BUFFER,
+      new Float32Array([-0.9, -0.7, 0.8, -0.9, 0.1, 0.9, -0.6, 0.4, 0.7, 0.6]),
+      gl.STATIC_DRAW
+    );
+    const position = gl.getAttribLocation(program, "position");
+    gl.enableVertexAttribArray(position);
+    gl.vertexAttribPointer(position, 2, gl.FLOAT, false, 0, 0);
+
+    gl.viewport(0, 0, gl.drawingBufferWidth, gl.drawingBufferHeight);
+    gl.clearColor(0.1, 0.2, 0.3, 1);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+    gl.drawArrays(gl.TRIANGLE_FAN, 0, 5);
+
+    const pixels = new Uint8Array(
+      gl.drawingBufferWidth * gl.drawingBufferHeight * 4
+    );
+    gl.readPixels(
+      0,
+      0,
+      gl.drawingBufferWidth,
+      gl.drawingBufferHeight,
+      gl.RGBA,
+      gl.UNSIGNED_BYTE,
+      pixels
+    );
+    return hashUtils.murmur3(pixels);
+  },
+};
+
 // WebGL fingerprinting
 class WebGLFingerprint {
   get() {
-    const canvas = document.createElement("canvas");
-    const gl =
-      canvas.getContext("webgl") || canvas.getContext("experimental-webgl");
+    const info = webglUtils.read();
 
-    if (!gl) {
+    if (!info) {
       return {
         key: "webgl",
         value: null,
@@ -326,19 +2693,29 @@ class WebGLFingerprint {
     return {
       key: "webgl",
       value: {
-        vendor: gl.getParameter(gl.VENDOR),
-        renderer: gl.getParameter(gl.RENDERER),
-        extensions: gl.getSupportedExtensions(),
+        version: info.version,
+        vendor: info.vendor,
+        renderer: info.renderer,
+        extensions: info.extensions,
+        parameters: info.parameters,
+        webgl2Parameters: info.webgl2Parameters,
+        precision: info.precision,
+        renderHash: info.renderHash,
       },
     };
   }
 }
 
-// Fonts detection
-class FontFingerprint {
-  get() {
-    const baseFonts = ["monospace", "sans-serif", "serif"];
-    const fontList = [
+// Font detection. Candidates are probed with document.fonts.check() where
+// it can be trusted, otherwise by comparing text metrics against the
+// generic base fonts.
+const fontUtils = {
+  baseFonts: ["monospace", "sans-serif", "serif"],
+  testString: "mmmmmmmmmmlli",
+  testSize: "72px",
+
+  lists: {
+    windows: [
       "Arial",
       "Arial Black",
       "Arial Narrow",
@@ -381,61 +2758,218 @@ class FontFingerprint {
       "Wingdings",
       "Wingdings 2",
       "Wingdings 3",
-    ];
+    ],
+    macos: [
+      "American Typewriter",
+      "Andale Mono",
+      "Apple Chancery",
+      "Apple Color Emoji",
+      "Avenir",
+      "Avenir Next",
+      "Baskerville",
+      "Big Caslon",
+      "Chalkboard",
+      "Chalkduster",
+      "Cochin",
+      "Copperplate",
+      "Didot",
+      "Futura",
+      "Geneva",
+      "Gill Sans",
+      "Helvetica Neue",
+      "Herculanum",
+      "Hoefler Text",
+      "Lucida Grande",
+      "Marker Felt",
+      "Menlo",
+      "Monaco",
+      "Noteworthy",
+      "Optima",
+      "Papyrus",
+      "Phosphate",
+      "Rockwell",
+      "Skia",
+      "Snell Roundhand",
+      "Trattatello",
+      "Zapfino",
+    ],
+    linux: [
+      "Bitstream Vera Sans",
+      "Cantarell",
+      "DejaVu Sans",
+      "DejaVu Sans Mono",
+      "DejaVu Serif",
+      "FreeMono",
+      "FreeSans",
+      "FreeSerif",
+      "Liberation Mono",
+      "Liberation Sans",
+      "Liberation Serif",
+      "Nimbus Roman",
+      "Nimbus Sans",
+      "Noto Color Emoji",
+      "Noto Sans",
+      "Noto Serif",
+      "Ubuntu",
+      "Ubuntu Mono",
+      "URW Bookman",
+    ],
+    android: [
+      "Carrois Gothic SC",
+      "Coming Soon",
+      "Cutive Mono",
+      "Dancing Script",
+      "Droid Sans",
+      "Droid Sans Mono",
+      "Droid Serif",
+      "Roboto",
+      "Roboto Condensed",
+      "Source Sans Pro",
+    ],
+    cjk: [
+      "Batang",
+      "Gulim",
+      "Heiti SC",
+      "Hiragino Kaku Gothic ProN",
+      "Hiragino Mincho ProN",
+      "Hiragino Sans",
+      "Malgun Gothic",
+      "Meiryo",
+      "Microsoft JhengHei",
+      "Microsoft YaHei",
+      "MS Mincho",
+      "Nanum Gothic",
+      "Noto Sans CJK JP",
+      "Noto Sans CJK SC",
+      "PingFang SC",
+      "PingFang TC",
+      "PMingLiU",
+      "SimHei",
+      "SimSun",
+      "Songti SC",
+      "STHeiti",
+      "WenQuanYi Micro Hei",
+      "Yu Gothic",
+      "Yu Mincho",
+    ],
+  },
+
+  candidates: function () {
+    const fonts = [];
+    for (const name of Object.keys(fontUtils.lists)) {
+      for (const font of fontUtils.lists[name]) {
+        if (fonts.indexOf(font) < 0) {
+          fonts.push(font);
+        }
+      }
+    }
+    return fonts;
+  },
 
-    const testString = "mmmmmmmmmmlli";
-    const testSize = "72px";
-    const h = document.getElementsByTagName("body")[0];
+  detect: function (fonts) {
+    if (fontUtils._checkReliable()) {
+      return {
+        method: "check",
+        available: fonts.filter((font) =>
+          document.fonts.check(`${fontUtils.testSize} "${font}"`)
+        ),
+      };
+    }
+    if (typeof OffscreenCanvas !== "undefined") {
+      const ctx = new OffscreenCanvas(1, 1).getContext("2d");
+      if (ctx) {
+        return {
+          method: "measureText",
+          available: fontUtils._measure(ctx, fonts),
+        };
+      }
+    }
+    return { method: "layout", available: fontUtils._layout(fonts) };
+  },
+
+  // Some engines report every local family as available, so check() is
+  // only used when it rejects a family that cannot exist
+  _checkReliable: function () {
+    if (
+      typeof document === "undefined" ||
+      !document.fonts ||
+      typeof document.fonts.check !== "function"
+    ) {
+      return false;
+    }
+    try {
+      const missing = "bf-missing-" + Math.random().toString(36).slice(2);
+      return !document.fonts.check(`${fontUtils.testSize} "${missing}"`);
+    } catch (e) {
+      return false;
+    }
+  },
+
+  _measure: function (ctx, fonts) {
+    const size = (family) => {
+      ctx.font = `${fontUtils.testSize} ${family}`;
+      const m = ctx.measureText(fontUtils.testString);
+      return `${m.width},${
+        m.actualBoundingBoxAscent + m.actualBoundingBoxDescent
+      }`;
+    };
+    const base = {};
+    for (const baseFont of fontUtils.baseFonts) {
+      base[baseFont] = size(baseFont);
+    }
 
-    const baseFontsDiv = document.createElement("div");
-    const fontsDiv = document.createElement("div");
+    return fonts.filter((font) =>
+      fontUtils.baseFonts.some(
+        (baseFont) => size(`"${font}", ${baseFont}`) !== base[baseFont]
+      )
+    );
+  },
 
-    const defaultWidth = {};
-    const defaultHeight = {};
+  // All spans go into one hidden, size-contained container attached to
+  // <html> (so it works before <body> exists) and are read in a single
+  // layout pass
+  _layout: function (fonts) {
+    const container = document.createElement("div");
+    container.setAttribute("aria-hidden", "true");
+    container.style.cssText =
+      "position:absolute;top:0;left:-9999px;width:0;height:0;" +
+      "overflow:hidden;visibility:hidden;contain:strict;white-space:nowrap;" +
+      "font-style:normal;font-weight:normal;letter-spacing:normal;" +
+      "line-height:normal;text-transform:none";
 
-    // Create spans for base fonts
-    for (const baseFont of baseFonts) {
+    const span = (family) => {
       const s = document.createElement("span");
-      s.style.fontSize = testSize;
-      s.style.fontFamily = baseFont;
-      s.innerText = testString;
-      baseFontsDiv.appendChild(s);
-      defaultWidth[baseFont] = s.offsetWidth;
-      defaultHeight[baseFont] = s.offsetHeight;
-    }
-
-    // Add spans to body
-    h.appendChild(baseFontsDiv);
-    h.appendChild(fontsDiv);
-
-    const available = [];
-
-    // Check available fonts
-    for (const font of fontList) {
-      const detected = baseFonts.some((baseFont) => {
-        const s = document.createElement("span");
-        s.style.fontSize = testSize;
-        s.style.fontFamily = font + "," + baseFont;
-        s.innerText = testString;
-        fontsDiv.appendChild(s);
-        return (
-          s.offsetWidth !== defaultWidth[baseFont] ||
-          s.offsetHeight !== defaultHeight[baseFont]
-        );
-      });
+      s.style.fontSize = fontUtils.testSize;
+      s.style.fontFamily = family;
+      s.textContent = fontUtils.testString;
+      container.appendChild(s);
+      return s;
+    };
+    const base = fontUtils.baseFonts.map((baseFont) => span(baseFont));
+    const probes = fonts.map((font) =>
+      fontUtils.baseFonts.map((baseFont) => span(`"${font}", ${baseFont}`))
+    );
 
-      if (detected) {
-        available.push(font);
-      }
+    document.documentElement.appendChild(container);
+    try {
+      const size = (s) => `${s.offsetWidth},${s.offsetHeight}`;
+      const baseSizes = base.map(size);
+      return fonts.filter((font, i) =>
+        probes[i].some((s, j) => size(s) !== baseSizes[j])
+      );
+    } finally {
+      container.remove();
     }
+  },
+};
 
-    // Cleanup
-    h.removeChild(baseFontsDiv);
-    h.removeChild(fontsDiv);
-
+class FontFingerprint {
+  get() {
+    const { method, available } = fontUtils.detect(fontUtils.candidates());
     return {
       key: "fonts",
       value: available,
+      details: { method },
     };
   }
 }
@@ -512,17 +3046,17 @@ class TouchSupportFingerprint {
 // Hardware performance fingerprinting
 class HardwareFingerprint {
   async get() {
-    // Run computation-heavy tasks and measure timing
-    const start = performance.now();
-
-    // Heavy mathematical operations
-    for (let i = 0; i < 1000000; i++) {
-      Math.sin(Math.sqrt(Math.pow(i, 2)));
-    }
-
-    // Measure time taken for operations
-    const end = performance.now();
-    const performance_score = end - start;
+    // Time computation-heavy work in a worker, off the main thread
+    const performance_score = await schedulerUtils.worker(
+      (iterations) => {
+        const start = performance.now();
+        for (let i = 0; i < iterations; i++) {
+          Math.sin(Math.sqrt(Math.pow(i, 2)));
+        }
+        return performance.now() - start;
+      },
+      [1000000]
+    );
 
     // Get hardware concurrency and memory
     const cores = navigator.hardwareConcurrency || "unknown";
@@ -640,13 +3174,7 @@ class WebRTCFingerprint {
   }
 
   _hashSDP(sdp) {
-    let hash = 0;
-    for (let i = 0; i < sdp.length; i++) {
-      const char = sdp.charCodeAt(i);
-      hash = (hash << 5) - hash + char;
-      hash = hash & hash;
-    }
-    return hash;
+    return hashUtils.murmur3(sdp);
   }
 }
 
@@ -831,70 +3359,799 @@ class NetworkFingerprint {
 // VideoCard info fingerprint via WebGL
 class VideoCardFingerprint {
   get() {
-    const canvas = document.createElement("canvas");
-    const gl =
-      canvas.getContext("webgl") || canvas.getContext("experimental-webgl");
+    const info = webglUtils.read();
 
-    if (!gl) {
+    if (!info || !info.unmaskedRenderer) {
       return {
         key: "videoCard",
         value: null,
       };
     }
 
-    const debugInfo = gl.getExtension("WEBGL_debug_renderer_info");
+    return {
+      key: "videoCard",
+      value: {
+        vendor: info.unmaskedVendor,
+        renderer: info.unmaskedRenderer,
+      },
+    };
+  }
+}
+
+// Navigator, timezone and GPU values as seen from inside a worker. Runs in
+// worker scope, so it must not reference anything outside itself.
+const workerProbe = function () {
+  const nav = self.navigator || {};
+  let timeZone = null;
+  try {
+    timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone || null;
+  } catch (e) {
+    // Intl unavailable
+  }
+
+  let renderer = null;
+  try {
+    const gl = new OffscreenCanvas(1, 1).getContext("webgl");
+    const info = gl && gl.getExtension("WEBGL_debug_renderer_info");
+    if (info) {
+      renderer = gl.getParameter(info.UNMASKED_RENDERER_WEBGL) || null;
+    }
+    const lose = gl && gl.getExtension("WEBGL_lose_context");
+    if (lose) {
+      lose.loseContext();
+    }
+  } catch (e) {
+    // No OffscreenCanvas or WebGL in workers
+  }
+
+  return {
+    inWorker: typeof WorkerGlobalScope !== "undefined",
+    userAgent: nav.userAgent || null,
+    platform: nav.platform || null,
+    language: nav.language || null,
+    languages: nav.languages ? Array.from(nav.languages) : null,
+    hardwareConcurrency: nav.hardwareConcurrency || null,
+    deviceMemory: nav.deviceMemory || null,
+    timeZone,
+    renderer,
+  };
+};
+
+// Worker context. Spoofing extensions mostly patch navigator in the page's
+// main world only, so values that differ in a dedicated or service worker
+// are listed in mismatches as "<context>.<property>".
+class WorkerFingerprint {
+  async get() {
+    const main = this._main();
+    const [dedicated, serviceWorker] = await Promise.all([
+      this._dedicated(),
+      this._serviceWorker(),
+    ]);
+
+    const mismatches = [];
+    const compare = (context, values) => {
+      if (!values) {
+        return;
+      }
+      for (const key in main) {
+        // Unavailable on either side is not a mismatch
+        if (
+          main[key] !== null &&
+          values[key] !== null &&
+          JSON.stringify(main[key]) !== JSON.stringify(values[key])
+        ) {
+          mismatches.push(`${context}.${key}`);
+        }
+      }
+    };
+    compare("dedicated", dedicated);
+    compare("serviceWorker", serviceWorker);
+
+    return {
+      key: "worker",
+      value: { main, dedicated, serviceWorker, mismatches },
+    };
+  }
+
+  // The same values read by the main-thread components. The WebGL info is
+  // the one the videoCard component reads in the same collect().
+  _main() {
+    const timezone = new components.timezone().get().value;
+    const webgl = webglUtils.read();
+    return {
+      userAgent: new components.userAgent().get().value || null,
+      platform: navigator.platform || null,
+      language: new components.language().get().value || null,
+      languages: new components.languages().get().value,
+      hardwareConcurrency:
+        new components.hardwareConcurrency().get().value || null,
+      deviceMemory: new components.deviceMemory().get().value || null,
+      timeZone: timezone.timeZone,
+      renderer: (webgl && webgl.unmaskedRenderer) || null,
+    };
+  }
+
+  async _dedicated() {
+    try {
+      const values = await schedulerUtils.worker(workerProbe);
+      // schedulerUtils.worker ran it inline, nothing to compare against
+      return values.inWorker ? utils.exclude(values, ["inWorker"]) : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // Needs a service worker controlling the page that calls
+  // Fingerprint.serveWorkerProbe()
+  async _serviceWorker() {
+    const container = navigator.serviceWorker;
+    if (!container || !container.controller || !window.MessageChannel) {
+      return null;
+    }
+
+    const channel = new MessageChannel();
+    try {
+      const values = await promiseUtils.withTimeout(
+        new Promise((resolve) => {
+          channel.port1.onmessage = (event) => resolve(event.data);
+          container.controller.postMessage({ type: "smbfjs:probe" }, [
+            channel.port2,
+          ]);
+        }),
+        1000
+      );
+      return values ? utils.exclude(values, ["inWorker"]) : null;
+    } catch (e) {
+      return null;
+    } finally {
+      channel.port1.close();
+    }
+  }
+}
+
+// Bot and automation detection. Combines the output of existing components
+// with checks for automation framework artifacts.
+class BotDetector {
+  constructor(options = {}) {
+    this.threshold = options.threshold !== undefined ? options.threshold : 0.5;
+  }
+
+  // Returns { bot, score, kind, reasons }
+  detect(components) {
+    const values = {};
+    for (const c of components) {
+      if (!c.error) {
+        values[c.key] = c.value;
+      }
+    }
+
+    const findings = [];
+    const add = (kind, weight, reason) =>
+      findings.push({ kind, weight, reason });
+
+    const ua = values.userAgent || navigator.userAgent || "";
+    const mobile = /Android|iPhone|iPad|iPod|Mobile/i.test(ua);
+
+    if (values.webdriver === true) {
+      add("automation", 1, "navigator.webdriver is true");
+    }
+    if (/HeadlessChrome|Headless|PhantomJS/i.test(ua)) {
+      add("headless", 1, "headless user agent");
+    }
+    if (
+      !mobile &&
+      Array.isArray(values.plugins) &&
+      values.plugins.length === 0
+    ) {
+      add("headless", 0.3, "no plugins on a desktop browser");
+    }
+    if (
+      values.videoCard &&
+      /SwiftShader|llvmpipe|Mesa OffScreen/i.test(values.videoCard.renderer)
+    ) {
+      add("headless", 0.5, `software renderer: ${values.videoCard.renderer}`);
+    }
+    if (!navigator.languages || navigator.languages.length === 0) {
+      add("headless", 0.4, "navigator.languages is empty");
+    }
+    if (mobile && values.touch && values.touch.maxTouchPoints === 0) {
+      add("spoofed", 0.4, "mobile user agent without touch support");
+    }
+
+    for (const finding of this._frameworkArtifacts()) {
+      findings.push(finding);
+    }
+
+    // Android WebViews (in-app browsers) send a Chrome user agent without
+    // window.chrome. Weighted below the default threshold, so it needs other
+    // evidence.
+    const chromium = /Chrome\/|Chromium\//.test(ua);
+    const webView = /; wv\)|Version\/4\.0 Chrome\//.test(ua);
+    if (chromium && !webView && typeof window.chrome === "undefined") {
+      add("spoofed", 0.3, "Chrome user agent without window.chrome");
+    } else if (!chromium && typeof window.chrome !== "undefined") {
+      add("spoofed", 0.3, "window.chrome on a non-Chromium user agent");
+    }
+
+    const score = Math.min(
+      1,
+      findings.reduce((sum, f) => sum + f.weight, 0)
+    );
+    const bot = score >= this.threshold;
+
+    return {
+      bot,
+      score,
+      kind: bot ? this._kind(findings) : null,
+      reasons: findings.map((f) => f.reason),
+    };
+  }
+
+  _frameworkArtifacts() {
+    const findings = [];
+    const keys = Object.getOwnPropertyNames(window).concat(
+      Object.getOwnPropertyNames(document)
+    );
+
+    const selenium = [
+      "_selenium",
+      "callSelenium",
+      "_Selenium_IDE_Recorder",
+      "__selenium_unwrapped",
+      "__selenium_evaluate",
+      "__webdriver_evaluate",
+      "__webdriver_script_fn",
+      "__driver_evaluate",
+      "__fxdriver_unwrapped",
+      "domAutomation",
+      "domAutomationController",
+    ];
+    const seleniumKey = keys.find(
+      (key) => selenium.indexOf(key) >= 0 || /^\$?cdc_|^\$wdc_/.test(key)
+    );
+    if (seleniumKey) {
+      findings.push({
+        kind: "selenium",
+        weight: 1,
+        reason: `Selenium artifact: ${seleniumKey}`,
+      });
+    }
+
+    const playwrightKey = keys.find((key) => /^__pw|^__playwright/.test(key));
+    if (playwrightKey) {
+      findings.push({
+        kind: "playwright",
+        weight: 1,
+        reason: `Playwright artifact: ${playwrightKey}`,
+      });
+    }
+
+    const stack = new Error().stack || "";
+    if (stack.indexOf("__puppeteer_evaluation_script__") >= 0) {
+      findings.push({
+        kind: "puppeteer",
+        weight: 1,
+        reason: "called from a Puppeteer evaluation script",
+      });
+    }
+
+    const phantomKey = keys.find(
+      (key) => ["callPhantom", "_phantom", "__nightmare"].indexOf(key) >= 0
+    );
+    if (phantomKey) {
+      findings.push({
+        kind: "headless",
+        weight: 1,
+        reason: `headless browser artifact: ${phantomKey}`,
+      });
+    }
+
+    return findings;
+  }
+
+  // Framework specific kinds win, otherwise the heaviest kind
+  _kind(findings) {
+    const specific = ["selenium", "puppeteer", "playwright"];
+    const totals = {};
+    for (const f of findings) {
+      if (specific.indexOf(f.kind) >= 0) {
+        return f.kind;
+      }
+      totals[f.kind] = (totals[f.kind] || 0) + f.weight;
+    }
+    return Object.keys(totals).sort((a, b) => totals[b] - totals[a])[0];
+  }
+}
+
+// Anti-fingerprinting and spoofing ("lie") detection. Findings are reported
+// per component key.
+class LieDetector {
+  async detect(components) {
+    const values = {};
+    for (const c of components) {
+      if (!c.error) {
+        values[c.key] = c.value;
+      }
+    }
+
+    // A finding may name several keys when more than one component reads
+    // the spoofed value
+    const lies = {};
+    const add = (keys, reason) => {
+      for (const key of [].concat(keys)) {
+        lies[key] = lies[key] || [];
+        lies[key].push(reason);
+      }
+    };
+
+    for (const finding of this._overriddenGetters()) {
+      add(finding.key, finding.reason);
+    }
+    const canvas = components.find((c) => c.key === "canvas" && !c.error);
+    for (const reason of this._canvasNoise(canvas)) {
+      add("canvas", reason);
+    }
+    for (const reason of await this._audioNoise()) {
+      add("audio", reason);
+    }
+    for (const finding of this._impossibleCombinations(values)) {
+      add(finding.key, finding.reason);
+    }
+    for (const finding of this._workerMismatches(values.worker)) {
+      add(finding.key, finding.reason);
+    }
+
+    return lies;
+  }
+
+  // Getters and methods replaced on their prototypes, or shadowed on the
+  // instance, no longer stringify as native code
+  _overriddenGetters() {
+    const findings = [];
+    const native = (fn) => {
+      try {
+        return /\{\s*\[native code\]\s*\}\s*$/.test(
+          Function.prototype.toString.call(fn)
+        );
+      } catch (e) {
+        return false;
+      }
+    };
+    const proto = (name) =>
+      typeof window[name] === "function" ? window[name].prototype : null;
+
+    const checkGetters = (target, targetProto, props) => {
+      if (!target || !targetProto) {
+        return;
+      }
+      for (const prop in props) {
+        if (Object.getOwnPropertyDescriptor(target, prop)) {
+          findings.push({
+            key: props[prop],
+            reason: `${prop} is shadowed on the instance`,
+          });
+          continue;
+        }
+        const descriptor = Object.getOwnPropertyDescriptor(targetProto, prop);
+        if (descriptor && descriptor.get && !native(descriptor.get)) {
+          findings.push({
+            key: props[prop],
+            reason: `${prop} getter is not native`,
+          });
+        }
+      }
+    };
+
+    const checkMethods = (targetProto, props) => {
+      if (!targetProto) {
+        return;
+      }
+      for (const prop in props) {
+        const descriptor = Object.getOwnPropertyDescriptor(targetProto, prop);
+        if (descriptor && descriptor.value && !native(descriptor.value)) {
+          findings.push({
+            key: props[prop],
+            reason: `${prop} is not native`,
+          });
+        }
+      }
+    };
+
+    // Usually patched by user agent switchers to hide their overrides
+    if (!native(Function.prototype.toString)) {
+      findings.push({
+        key: ["userAgent", "clientHints"],
+        reason: "Function.prototype.toString is not native",
+      });
+    }
+
+    checkGetters(navigator, proto("Navigator"), {
+      userAgent: ["userAgent", "clientHints"],
+      userAgentData: "clientHints",
+      platform: "clientHints",
+      language: "language",
+      languages: "language",
+      hardwareConcurrency: "hardwareConcurrency",
+      deviceMemory: "deviceMemory",
+      webdriver: "webdriver",
+      plugins: "plugins",
+      maxTouchPoints: "touch",
+    });
+    checkGetters(navigator.userAgentData, proto("NavigatorUAData"), {
+      brands: "clientHints",
+      mobile: "clientHints",
+      platform: "clientHints",
+    });
+    checkMethods(proto("NavigatorUAData"), {
+      getHighEntropyValues: "clientHints",
+    });
+    checkGetters(window.screen, proto("Screen"), {
+      colorDepth: "colorDepth",
+      pixelDepth: "colorDepth",
+      width: "screen",
+      height: "screen",
+      availWidth: "screen",
+      availHeight: "screen",
+    });
+    checkMethods(proto("HTMLCanvasElement"), {
+      toDataURL: "canvas",
+      getContext: "canvas",
+    });
+    checkMethods(proto("CanvasRenderingContext2D"), {
+      getImageData: "canvas",
+      fillText: "canvas",
+    });
+    checkMethods(proto("AudioBuffer"), { getChannelData: "audio" });
+    checkMethods(proto("WebGLRenderingContext"), { getParameter: "videoCard" });
+    checkMethods(proto("WebGL2RenderingContext"), {
+      getParameter: ["videoCard", "webgl"],
+    });
+
+    return findings;
+  }
+
+  // Per-call randomization shows up as a geometry scene that renders
+  // differently twice (text alone can be legitimately noisy), and farbling
+  // as a solid fill that does not read back unchanged
+  _canvasNoise(canvas) {
+    const reasons = [];
+    try {
+      const result = canvas || new CanvasFingerprint().get();
+      if (result.details.unstable.indexOf("geometry") >= 0) {
+        reasons.push("geometry output differs between renders");
+      }
+
+      const element = document.createElement("canvas");
+      element.width = 4;
+      element.height = 4;
+      const ctx = element.getContext("2d");
+      ctx.fillStyle = "rgb(255, 102, 0)";
+      ctx.fillRect(0, 0, 4, 4);
+      const data = ctx.getImageData(0, 0, 4, 4).data;
+      for (let i = 0; i < data.length; i += 4) {
+        if (
+          data[i] !== 255 ||
+          data[i + 1] !== 102 ||
+          data[i + 2] !== 0 ||
+          data[i + 3] !== 255
+        ) {
+          reasons.push("solid fill reads back modified");
+          break;
+        }
+      }
+    } catch (e) {
+      // Canvas unavailable, nothing to compare
+    }
+    return reasons;
+  }
+
+  async _audioNoise() {
+    if (!window.OfflineAudioContext && !window.webkitOfflineAudioContext) {
+      return [];
+    }
+    const audio = new AudioFingerprint();
+    const first = await audio.get();
+    const second = await audio.get();
+    return typeof first.value === "number" && first.value !== second.value
+      ? ["output differs between renders"]
+      : [];
+  }
 
-    if (!debugInfo) {
+  // Values patched in the main world only show up as worker mismatches
+  _workerMismatches(worker) {
+    if (!worker) {
+      return [];
+    }
+    const keys = {
+      userAgent: ["userAgent", "clientHints"],
+      platform: "clientHints",
+      timeZone: "timezone",
+      renderer: ["videoCard", "webgl"],
+    };
+    return worker.mismatches.map((mismatch) => {
+      const [context, prop] = mismatch.split(".");
       return {
-        key: "videoCard",
-        value: null,
+        key: keys[prop] || prop,
+        reason: `${prop} differs in the ${
+          context === "dedicated" ? "dedicated" : "service"
+        } worker`,
       };
+    });
+  }
+
+  _impossibleCombinations(values) {
+    const findings = [];
+    const ua = values.userAgent || "";
+    const renderer = [values.videoCard, values.webgl]
+      .map((v) => (v && v.renderer) || "")
+      .join(" ");
+
+    let platform = null;
+    if (/Windows/.test(ua)) {
+      platform = "Windows";
+    } else if (/iPhone|iPad|iPod/.test(ua)) {
+      platform = "iOS";
+    } else if (/Macintosh|Mac OS X/.test(ua)) {
+      platform = "Mac";
+    } else if (/Android/.test(ua)) {
+      platform = "Android";
+    } else if (/Linux|CrOS/.test(ua)) {
+      platform = "Linux";
     }
 
-    return {
-      key: "videoCard",
-      value: {
-        vendor: gl.getParameter(debugInfo.UNMASKED_VENDOR_WEBGL),
-        renderer: gl.getParameter(debugInfo.UNMASKED_RENDERER_WEBGL),
-      },
+    if (
+      platform &&
+      platform !== "Windows" &&
+      /Direct3D|D3D1\d/.test(renderer)
+    ) {
+      findings.push({
+        key: ["userAgent", "clientHints"],
+        reason: `${platform} user agent with a Direct3D renderer`,
+      });
+    }
+    if (
+      ["Windows", "Android", "Linux"].indexOf(platform) >= 0 &&
+      /Apple (M\d|GPU)/.test(renderer)
+    ) {
+      findings.push({
+        key: ["userAgent", "clientHints"],
+        reason: `${platform} user agent with an Apple GPU`,
+      });
+    }
+
+    return findings;
+  }
+}
+
+// Components whose output the bot detector reads
+BotDetector.components = {
+  userAgent: components.userAgent,
+  webdriver: components.webdriver,
+  plugins: PluginFingerprint,
+  touch: TouchSupportFingerprint,
+  videoCard: VideoCardFingerprint,
+};
+
+// Registry of named component classes available to Fingerprint.load()
+class ComponentRegistry {
+  constructor() {
+    this.entries = {};
+  }
+
+  // Options: stable (feeds the visitorId), weight (share in fuzzy matching)
+  // and lowEntropy (collected without consent). The name is the key the
+  // component reports.
+  register(name, Component, options = {}) {
+    if (typeof name !== "string" || !name) {
+      throw new Error("Component name is required");
+    }
+    if (
+      typeof Component !== "function" ||
+      !Component.prototype ||
+      typeof Component.prototype.get !== "function"
+    ) {
+      throw new Error(
+        `Component "${name}" must be a class with a get() method`
+      );
+    }
+
+    this.entries[name] = {
+      Component,
+      stable: !!options.stable,
+      weight: options.weight !== undefined ? options.weight : 1,
+      lowEntropy: !!options.lowEntropy,
     };
+    return this;
+  }
+
+  unregister(name) {
+    delete this.entries[name];
+    return this;
+  }
+
+  has(name) {
+    return Object.prototype.hasOwnProperty.call(this.entries, name);
+  }
+
+  get(name) {
+    return this.has(name) ? this.entries[name] : null;
+  }
+
+  names() {
+    return Object.keys(this.entries);
+  }
+
+  // Every component must resolve to { key, value } with its registered key
+  static validateResult(name, result) {
+    if (
+      !result ||
+      typeof result !== "object" ||
+      typeof result.key !== "string" ||
+      !("value" in result)
+    ) {
+      throw new Error(`Component "${name}" must return { key, value }`);
+    }
+    if (name && result.key !== name) {
+      throw new Error(
+        `Component "${name}" returned mismatched key "${result.key}"`
+      );
+    }
   }
 }
 
+// Default components. Stable ones feed the visitorId, weights set how much
+// each counts towards a fuzzy match, and the low-entropy tier is all that is
+// collected without consent.
+const registry = new ComponentRegistry()
+  .register("userAgent", components.userAgent, { lowEntropy: true })
+  .register("clientHints", ClientHintsFingerprint, { stable: true })
+  .register("webdriver", components.webdriver, { lowEntropy: true })
+  .register("language", components.language, {
+    stable: true,
+    lowEntropy: true,
+  })
+  .register("languages", components.languages, { stable: true })
+  .register("timezone", components.timezone, { stable: true })
+  .register("intl", components.intl, { stable: true })
+  .register("colorDepth", components.colorDepth, {
+    stable: true,
+    weight: 0.5,
+    lowEntropy: true,
+  })
+  .register("screen", components.screen, { stable: true })
+  .register("mediaPreferences", components.mediaPreferences)
+  .register("deviceMemory", components.deviceMemory, { stable: true })
+  .register("pixelRatio", components.pixelRatio, {
+    stable: true,
+    weight: 0.5,
+    lowEntropy: true,
+  })
+  .register("hardwareConcurrency", components.hardwareConcurrency, {
+    stable: true,
+  })
+  .register("canvas", CanvasFingerprint, { stable: true, weight: 2 })
+  .register("audio", AudioFingerprint)
+  .register("webgl", WebGLFingerprint, { stable: true, weight: 2 })
+  .register("fonts", FontFingerprint, { stable: true, weight: 2 })
+  .register("plugins", PluginFingerprint)
+  .register("touch", TouchSupportFingerprint)
+  .register("hardware", HardwareFingerprint)
+  .register("battery", BatteryFingerprint)
+  .register("voices", VoicesFingerprint)
+  .register("webrtc", WebRTCFingerprint)
+  .register("cssFeatures", CSSFeaturesFingerprint)
+  .register("mediaDevices", MediaDevicesFingerprint)
+  .register("pressureSensor", PressureSensorFingerprint)
+  .register("gpu", GPUFingerprint)
+  .register("network", NetworkFingerprint)
+  .register("videoCard", VideoCardFingerprint, { stable: true, weight: 2 })
+  .register("worker", WorkerFingerprint);
+
 // Main fingerprint generation
 class Fingerprint {
+  // Options: include/exclude take registered component names, and
+  // components maps a name to { stable, weight, lowEntropy, timeout }
+  // overrides
   static async load(options = {}) {
     const bf = new BrowserFingerprint(options);
+    const names = options.include || registry.names();
+    const exclude = options.exclude || [];
+    const config = options.components || {};
 
     // Add components
-    bf.addComponent(new components.userAgent())
-      .addComponent(new components.webdriver())
-      .addComponent(new components.language())
-      .addComponent(new components.colorDepth())
-      .addComponent(new components.deviceMemory())
-      .addComponent(new components.pixelRatio())
-      .addComponent(new components.hardwareConcurrency())
-      .addComponent(new CanvasFingerprint())
-      .addComponent(new AudioFingerprint())
-      .addComponent(new WebGLFingerprint())
-      .addComponent(new FontFingerprint())
-      .addComponent(new PluginFingerprint())
-      .addComponent(new TouchSupportFingerprint())
-      .addComponent(new HardwareFingerprint())
-      .addComponent(new BatteryFingerprint())
-      .addComponent(new VoicesFingerprint())
-      .addComponent(new WebRTCFingerprint())
-      .addComponent(new CSSFeaturesFingerprint())
-      .addComponent(new MediaDevicesFingerprint())
-      .addComponent(new PressureSensorFingerprint())
-      .addComponent(new GPUFingerprint())
-      .addComponent(new NetworkFingerprint())
-      .addComponent(new VideoCardFingerprint());
+    for (const name of names) {
+      if (!registry.has(name)) {
+        throw new Error(`Unknown component: ${name}`);
+      }
+      if (exclude.indexOf(name) >= 0) {
+        continue;
+      }
+      const entry = registry.get(name);
+      bf.addComponent(
+        new entry.Component(),
+        utils.assign(
+          {
+            key: name,
+            stable: entry.stable,
+            weight: entry.weight,
+            lowEntropy: entry.lowEntropy,
+          },
+          config[name]
+        )
+      );
+    }
+
+    for (const plugin of options.plugins || []) {
+      bf.use(plugin);
+    }
 
     return bf;
   }
+
+  // Run inside the bridge page loaded by CookieBridge. Answers get/set
+  // requests from the allowed parent origins with the bridge's own cookie.
+  static serveBridge(options = {}) {
+    const origins = options.origins || [];
+    const cookieName = options.cookieName || "smbfjs_id";
+
+    if (!origins.length) {
+      throw new Error("Bridge origins allowlist is required");
+    }
+
+    const onMessage = (event) => {
+      const data = event.data;
+      if (
+        origins.indexOf(event.origin) < 0 ||
+        !data ||
+        typeof data.type !== "string" ||
+        data.type.indexOf("smbfjs:") !== 0
+      ) {
+        return;
+      }
+
+      // Third-party context: the cookie must be SameSite=None;Secure
+      if (data.type === "smbfjs:set" && utils.isVisitorId(data.visitorId)) {
+        cookieUtils.write(cookieName, data.visitorId, {
+          days: options.cookieDays,
+          sameSite: "None",
+        });
+      }
+
+      event.source.postMessage(
+        { id: data.id, visitorId: cookieUtils.read(cookieName) },
+        event.origin
+      );
+    };
+
+    window.addEventListener("message", onMessage);
+    return () => window.removeEventListener("message", onMessage);
+  }
+
+  // Lets the worker component compare against a service worker. Call it
+  // from the service worker script after importScripts() of this library.
+  static serveWorkerProbe() {
+    const onMessage = (event) => {
+      const data = event.data;
+      if (!data || data.type !== "smbfjs:probe" || !event.ports[0]) {
+        return;
+      }
+      event.ports[0].postMessage(workerProbe());
+    };
+
+    self.addEventListener("message", onMessage);
+    return () => self.removeEventListener("message", onMessage);
+  }
 }
 
+Fingerprint.version = libraryVersion;
+Fingerprint.registry = registry;
+Fingerprint.entropyTable = defaultEntropyTable;
+Fingerprint.InvalidApiKeyError = InvalidApiKeyError;
+
+// Shared with the Node server companion (server.js)
+Fingerprint.hashUtils = hashUtils;
+Fingerprint.matchUtils = matchUtils;
+
 // Export for different module systems
 if (typeof module !== "undefined" && module.exports) {
   module.exports = Fingerprint;
@@ -903,5 +4160,5 @@ if (typeof module !== "undefined" && module.exports) {
     return Fingerprint;
   });
 } else {
-  window.Fingerprint = Fingerprint;
+  (typeof window !== "undefined" ? window : self).Fingerprint = Fingerprint;
 }
@@ -0,0 +1,614 @@
+/**
+ * Samarithan server companion
+ * Ingests the component payload from get(), recomputes the visitor hash
+ * server-side and matches it against previously seen visitors.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const Fingerprint = require("./index.js");
+
+const { hashUtils, matchUtils } = Fingerprint;
+
+// Raised for payloads the handler cannot ingest
+class PayloadError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "PayloadError";
+    this.status = status;
+  }
+}
+
+// HTTP request header fingerprinting. Only the server sees these signals.
+const headerUtils = {
+  // Added or rewritten by proxies and clients per request, not the browser
+  volatile: [
+    "cookie",
+    "authorization",
+    "content-length",
+    "content-type",
+    "origin",
+    "referer",
+    "forwarded",
+    "via",
+    "x-real-ip",
+    "cdn-loop",
+  ],
+
+  // Normalized header fingerprint of a Node http request
+  extract: function (req) {
+    const headers = req.headers || {};
+    const raw = req.rawHeaders || [];
+    const order = [];
+    for (let i = 0; i < raw.length; i += 2) {
+      const name = raw[i].toLowerCase();
+      if (
+        headerUtils.volatile.indexOf(name) < 0 &&
+        name.indexOf("x-forwarded-") !== 0 &&
+        order.indexOf(name) < 0
+      ) {
+        order.push(name);
+      }
+    }
+
+    const value = (name) =>
+      headers[name] !== undefined ? String(headers[name]).trim() : null;
+    const clientHints = {};
+    const fetchMetadata = {};
+    for (const name of Object.keys(headers).sort()) {
+      if (name.indexOf("sec-ch-ua") === 0) {
+        clientHints[name] = value(name);
+      } else if (name.indexOf("sec-fetch-") === 0) {
+        fetchMetadata[name] = value(name);
+      }
+    }
+
+    const fingerprint = {
+      order,
+      userAgent: value("user-agent"),
+      accept: value("accept"),
+      acceptLanguage: value("accept-language"),
+      acceptEncoding: value("accept-encoding"),
+      clientHints,
+      fetchMetadata,
+    };
+    fingerprint.hash = hashUtils.murmur3(JSON.stringify(fingerprint));
+    return fingerprint;
+  },
+
+  // Disagreements between the headers and the client's userAgent and
+  // language components
+  compare: function (headers, components) {
+    const mismatches = [];
+    const values = {};
+    for (const c of components) {
+      values[c.key] = c.value;
+    }
+    const ua = values.userAgent || headers.userAgent || "";
+    const hints = headers.clientHints;
+    const unquote = (v) => (v || "").replace(/^"|"$/g, "");
+
+    if (
+      values.userAgent &&
+      headers.userAgent &&
+      values.userAgent !== headers.userAgent
+    ) {
+      mismatches.push("User-Agent header differs from navigator.userAgent");
+    }
+
+    const hintPlatform = unquote(hints["sec-ch-ua-platform"]);
+    const uaPlatform = headerUtils.platform(ua);
+    if (hintPlatform && uaPlatform && hintPlatform !== uaPlatform) {
+      mismatches.push(
+        `Sec-CH-UA-Platform "${hintPlatform}" disagrees with ${uaPlatform} user agent`
+      );
+    }
+
+    const hintMobile = hints["sec-ch-ua-mobile"];
+    // Chrome sends ?1 for user agents with the Mobile token; Android
+    // tablets leave it out
+    const uaMobile = /Mobile/.test(ua);
+    if (hintMobile && (hintMobile === "?1") !== uaMobile) {
+      mismatches.push("Sec-CH-UA-Mobile disagrees with user agent");
+    }
+
+    const chrome = ua.match(/Chrom(?:e|ium)\/(\d+)/);
+    const brands = hints["sec-ch-ua"];
+    if (brands && !chrome) {
+      mismatches.push("client hints sent by a non-Chromium user agent");
+    } else if (brands && chrome) {
+      const versions = (brands.match(/v="(\d+)"/g) || []).map((v) =>
+        v.replace(/\D/g, "")
+      );
+      if (versions.length && versions.indexOf(chrome[1]) < 0) {
+        mismatches.push(
+          `Sec-CH-UA versions ${versions.join(", ")} do not include Chrome ${
+            chrome[1]
+          }`
+        );
+      }
+    }
+
+    const language = (values.language || "").toLowerCase();
+    const accepted = (headers.acceptLanguage || "")
+      .split(",")
+      .map((l) => l.split(";")[0].trim().toLowerCase())
+      .filter(Boolean);
+    if (
+      language &&
+      accepted.length &&
+      !accepted.some(
+        (l) => l === language || l.split("-")[0] === language.split("-")[0]
+      )
+    ) {
+      mismatches.push(
+        `Accept-Language "${headers.acceptLanguage}" does not include ${values.language}`
+      );
+    }
+
+    return mismatches;
+  },
+
+  // Platform names as used by Sec-CH-UA-Platform
+  platform: function (ua) {
+    if (/Windows/.test(ua)) {
+      return "Windows";
+    } else if (/Android/.test(ua)) {
+      return "Android";
+    } else if (/iPhone|iPad|iPod/.test(ua)) {
+      return "iOS";
+    } else if (/CrOS/.test(ua)) {
+      return "Chrome OS";
+    } else if (/Macintosh|Mac OS X/.test(ua)) {
+      return "macOS";
+    } else if (/Linux/.test(ua)) {
+      return "Linux";
+    }
+    return null;
+  },
+};
+
+// Connect/Express middleware that attaches req.headerFingerprint, picked up
+// by the handler
+function headerMiddleware() {
+  return (req, res, next) => {
+    req.headerFingerprint = headerUtils.extract(req);
+    next();
+  };
+}
+
+// Visitor stores. A visitor record looks like
+// { visitorId, hashes: [], values: {}, headers, firstSeen, lastSeen, visits }.
+// Every store method is async so adapters can be backed by anything.
+
+// In-memory store, lost on restart
+class MemoryStore {
+  constructor() {
+    this.visitors = new Map();
+    this.hashes = new Map();
+    this.buckets = new Map();
+    // Records may be changed in place, so the indexed bucket is kept here
+    this.bucketOf = new Map();
+  }
+
+  async get(visitorId) {
+    return this.visitors.get(visitorId) || null;
+  }
+
+  async findByHash(hash) {
+    const visitorId = this.hashes.get(hash);
+    return visitorId ? this.get(visitorId) : null;
+  }
+
+  async findByBucket(bucket) {
+    const visitorIds = this.buckets.get(bucket) || new Set();
+    return Array.from(visitorIds, (visitorId) => this.visitors.get(visitorId));
+  }
+
+  async all() {
+    return Array.from(this.visitors.values());
+  }
+
+  async save(record) {
+    const previous = this.bucketOf.get(record.visitorId);
+    if (previous) {
+      this.buckets.get(previous).delete(record.visitorId);
+    }
+    this.visitors.set(record.visitorId, record);
+    for (const hash of record.hashes) {
+      this.hashes.set(hash, record.visitorId);
+    }
+    if (record.bucket) {
+      if (!this.buckets.has(record.bucket)) {
+        this.buckets.set(record.bucket, new Set());
+      }
+      this.buckets.get(record.bucket).add(record.visitorId);
+      this.bucketOf.set(record.visitorId, record.bucket);
+    }
+    return record;
+  }
+}
+
+// Memory store persisted to a JSON file. Writes go to a temporary file that
+// is renamed over the original, one at a time.
+class JsonFileStore extends MemoryStore {
+  constructor(filename) {
+    super();
+    this.filename = filename;
+    this._loaded = null;
+    this._writing = Promise.resolve();
+  }
+
+  async get(visitorId) {
+    await this._load();
+    return super.get(visitorId);
+  }
+
+  async findByHash(hash) {
+    await this._load();
+    return super.findByHash(hash);
+  }
+
+  async findByBucket(bucket) {
+    await this._load();
+    return super.findByBucket(bucket);
+  }
+
+  async all() {
+    await this._load();
+    return super.all();
+  }
+
+  async save(record) {
+    await this._load();
+    await super.save(record);
+    this._writing = this._writing.then(() => this._write());
+    await this._writing;
+    return record;
+  }
+
+  _load() {
+    if (!this._loaded) {
+      this._loaded = fs.promises
+        .readFile(this.filename, "utf8")
+        .then((data) => {
+          for (const record of JSON.parse(data).visitors || []) {
+            MemoryStore.prototype.save.call(this, record);
+          }
+        })
+        .catch((error) => {
+          if (error.code !== "ENOENT") {
+            throw error;
+          }
+        });
+    }
+    return this._loaded;
+  }
+
+  async _write() {
+    const data = JSON.stringify({
+      visitors: Array.from(this.visitors.values()),
+    });
+    const tmp = path.join(
+      path.dirname(this.filename),
+      `.${path.basename(this.filename)}.${process.pid}.tmp`
+    );
+    await fs.promises.writeFile(tmp, data);
+    await fs.promises.rename(tmp, this.filename);
+  }
+}
+
+// SQLite store over a synchronous database handle with prepare()/exec(),
+// such as better-sqlite3 or node:sqlite's DatabaseSync
+class SqliteStore {
+  constructor(db) {
+    this.db = db;
+    this.db.exec(
+      "CREATE TABLE IF NOT EXISTS visitors (visitor_id TEXT PRIMARY KEY, data TEXT NOT NULL);" +
+        "CREATE TABLE IF NOT EXISTS visitor_hashes (hash TEXT PRIMARY KEY, visitor_id TEXT NOT NULL);" +
+        "CREATE TABLE IF NOT EXISTS visitor_buckets (visitor_id TEXT PRIMARY KEY, bucket TEXT NOT NULL);" +
+        "CREATE INDEX IF NOT EXISTS visitor_buckets_bucket ON visitor_buckets (bucket);"
+    );
+  }
+
+  async get(visitorId) {
+    const row = this.db
+      .prepare("SELECT data FROM visitors WHERE visitor_id = ?")
+      .get(visitorId);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async findByHash(hash) {
+    const row = this.db
+      .prepare("SELECT visitor_id FROM visitor_hashes WHERE hash = ?")
+      .get(hash);
+    return row ? this.get(row.visitor_id) : null;
+  }
+
+  async findByBucket(bucket) {
+    return this.db
+      .prepare(
+        "SELECT data FROM visitors JOIN visitor_buckets USING (visitor_id) " +
+          "WHERE bucket = ?"
+      )
+      .all(bucket)
+      .map((row) => JSON.parse(row.data));
+  }
+
+  async all() {
+    return this.db
+      .prepare("SELECT data FROM visitors")
+      .all()
+      .map((row) => JSON.parse(row.data));
+  }
+
+  async save(record) {
+    this.db
+      .prepare(
+        "INSERT INTO visitors (visitor_id, data) VALUES (?, ?) " +
+          "ON CONFLICT(visitor_id) DO UPDATE SET data = excluded.data"
+      )
+      .run(record.visitorId, JSON.stringify(record));
+    const insertHash = this.db.prepare(
+      "INSERT OR REPLACE INTO visitor_hashes (hash, visitor_id) VALUES (?, ?)"
+    );
+    for (const hash of record.hashes) {
+      insertHash.run(hash, record.visitorId);
+    }
+    if (record.bucket) {
+      this.db
+        .prepare(
+          "INSERT OR REPLACE INTO visitor_buckets (visitor_id, bucket) VALUES (?, ?)"
+        )
+        .run(record.visitorId, record.bucket);
+    }
+    return record;
+  }
+}
+
+// Components read as strings by headerUtils.compare
+const stringKeys = ["userAgent", "language"];
+
+// Ingests client payloads and issues server-side visitorIds
+class FingerprintServer {
+  constructor(options = {}) {
+    this.store = options.store || new MemoryStore();
+    this.hashAlgorithm = options.hashAlgorithm || "murmur3";
+    this.matchThreshold =
+      options.matchThreshold !== undefined ? options.matchThreshold : 0.8;
+    this.maxBodySize = options.maxBodySize || 1024 * 1024;
+    this.maxCandidates = options.maxCandidates || 1000;
+    this.headers = options.headers !== false;
+
+    // Same stable set and weights as the client defaults
+    const registry = Fingerprint.registry;
+    this.stableKeys =
+      options.stableKeys ||
+      registry.names().filter((name) => registry.get(name).stable);
+    this.componentWeights = {};
+    for (const name of registry.names()) {
+      this.componentWeights[name] = registry.get(name).weight;
+    }
+    Object.assign(this.componentWeights, options.componentWeights);
+  }
+
+  // payload: { components: [{ key, value }] } as returned by get(). Resolves
+  // to { visitorId, hash, match, confidence, headers } where match is
+  // "exact", "fuzzy" or "new". headers is only set when a header
+  // fingerprint is passed.
+  async ingest(payload, headerFingerprint = null) {
+    const components = this._validate(payload);
+    // The client's error and tampered flags are not trusted: a forged payload
+    // could flag every component and hash to the same empty set
+    const stableComponents = components.filter(
+      (c) => this.stableKeys.indexOf(c.key) >= 0
+    );
+    if (!stableComponents.some((c) => c.value !== null)) {
+      throw new PayloadError("no stable components");
+    }
+    const hash = await hashUtils.components(
+      stableComponents,
+      this.hashAlgorithm
+    );
+    const values = {};
+    for (const c of stableComponents) {
+      values[c.key] = c.value;
+    }
+
+    let match = "exact";
+    let confidence = 1;
+    let record = await this.store.findByHash(hash);
+
+    if (!record) {
+      const best = await this._bestMatch(values, this._bucket(values));
+      if (best && best.score >= this.matchThreshold) {
+        match = "fuzzy";
+        confidence = best.score;
+        record = best.record;
+      }
+    }
+
+    const now = Date.now();
+    if (!record) {
+      match = "new";
+      confidence = null;
+      record = {
+        visitorId: crypto.randomUUID(),
+        hashes: [],
+        values,
+        firstSeen: now,
+        lastSeen: now,
+        visits: 0,
+      };
+    }
+
+    if (record.hashes.indexOf(hash) < 0) {
+      record.hashes.push(hash);
+    }
+    // Keep stored values the payload did not send
+    record.values = Object.assign({}, record.values, values);
+    record.bucket = this._bucket(record.values);
+    record.lastSeen = now;
+    record.visits++;
+
+    let headers;
+    if (headerFingerprint) {
+      headers = {
+        hash: headerFingerprint.hash,
+        mismatches: headerUtils.compare(headerFingerprint, components),
+      };
+      // Latest fingerprint plus every header hash seen for the visitor
+      record.headers = headerFingerprint;
+      record.headerHashes = record.headerHashes || [];
+      if (record.headerHashes.indexOf(headerFingerprint.hash) < 0) {
+        record.headerHashes.push(headerFingerprint.hash);
+      }
+    }
+    await this.store.save(record);
+
+    return {
+      visitorId: record.visitorId,
+      hash,
+      match,
+      confidence,
+      headers,
+    };
+  }
+
+  // Node http / Express compatible (req, res) handler
+  handler() {
+    return (req, res) => {
+      if (req.method !== "POST") {
+        return this._send(res, 405, { error: "Method not allowed" });
+      }
+
+      const headerFingerprint = this.headers
+        ? req.headerFingerprint || headerUtils.extract(req)
+        : null;
+
+      this._readBody(req)
+        .then((body) => this.ingest(body, headerFingerprint))
+        .then(
+          (result) => this._send(res, 200, result),
+          (error) =>
+            this._send(res, error.status || 500, {
+              error: error.status ? error.message : "Internal error",
+            })
+        );
+    };
+  }
+
+  // Coarse key a fuzzy match must share with the stored record, so matching
+  // only scores a few candidates: platform and mobile from the client hints,
+  // language and screen size
+  _bucket(values) {
+    const hints = values.clientHints || {};
+    return hashUtils.murmur3(
+      JSON.stringify([
+        hints.platform || null,
+        !!hints.mobile,
+        values.language !== undefined ? values.language : null,
+        values.screen !== undefined ? values.screen : null,
+      ])
+    );
+  }
+
+  // Keys missing on either side count as changed, so a sparse payload cannot
+  // match a full record on the few keys both have. Stores without
+  // findByBucket() are scanned up to maxCandidates records.
+  async _bestMatch(values, bucket) {
+    const candidates = this.store.findByBucket
+      ? await this.store.findByBucket(bucket)
+      : await this.store.all();
+    let best = null;
+    for (const record of candidates.slice(0, this.maxCandidates)) {
+      const previous = {};
+      const current = {};
+      for (const key of Object.keys(Object.assign({}, record.values, values))) {
+        previous[key] = record.values[key];
+        current[key] = values[key];
+      }
+      const { score } = matchUtils.compare(
+        previous,
+        current,
+        this.componentWeights
+      );
+      if (!best || score > best.score) {
+        best = { record, score };
+      }
+    }
+    return best;
+  }
+
+  _validate(payload) {
+    if (!payload || !Array.isArray(payload.components)) {
+      throw new PayloadError("components must be an array");
+    }
+    return payload.components.map((c) => {
+      if (!c || typeof c.key !== "string") {
+        throw new PayloadError("components must be { key, value } objects");
+      }
+      // JSON.stringify drops undefined values, e.g. deviceMemory on Safari
+      const value = c.value !== undefined ? c.value : null;
+      if (
+        stringKeys.indexOf(c.key) >= 0 &&
+        value !== null &&
+        typeof value !== "string"
+      ) {
+        throw new PayloadError(`${c.key} must be a string`);
+      }
+      return { key: c.key, value };
+    });
+  }
+
+  _readBody(req) {
+    // Body already parsed by a framework (e.g. express.json())
+    if (req.body && typeof req.body === "object") {
+      return Promise.resolve(req.body);
+    }
+
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+      req.on("data", (chunk) => {
+        size += chunk.length;
+        if (size > this.maxBodySize) {
+          reject(new PayloadError("Payload too large", 413));
+          req.destroy();
+          return;
+        }
+        chunks.push(chunk);
+      });
+      req.on("end", () => {
+        try {
+          resolve(JSON.parse(Buffer.concat(chunks).toString("utf8")));
+        } catch (e) {
+          reject(new PayloadError("Invalid JSON"));
+        }
+      });
+      req.on("error", reject);
+    });
+  }
+
+  _send(res, status, body) {
+    res.statusCode = status;
+    res.setHeader("Content-Type", "application/json");
+    res.end(JSON.stringify(body));
+  }
+}
+
+function createHandler(options = {}) {
+  return new FingerprintServer(options).handler();
+}
+
+module.exports = {
+  FingerprintServer,
+  createHandler,
+  headerMiddleware,
+  headerUtils,
+  MemoryStore,
+  JsonFileStore,
+  SqliteStore,
+  PayloadError,
+};
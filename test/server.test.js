@@ -0,0 +1,91 @@
+// Visitor matching in server.js. Run with `node --test`.
+
+const test = require("node:test");
+const assert = require("assert");
+const testing = require("../testing.js");
+const { FingerprintServer, headerUtils } = require("../server.js");
+
+// Component list as the client would post it for a profile
+async function components(profile) {
+  return (await testing.run(profile)).components;
+}
+
+function replace(list, key, value) {
+  return list.map((c) => (c.key === key ? { key, value } : c));
+}
+
+function request(headers) {
+  const rawHeaders = [];
+  for (const name of Object.keys(headers)) {
+    rawHeaders.push(name, headers[name]);
+  }
+  return { headers, rawHeaders };
+}
+
+test("a first visit is new and a repeat visit matches exactly", async () => {
+  const server = new FingerprintServer();
+  const list = await components("Chrome 120 Windows");
+  const first = await server.ingest({ components: list });
+  assert.strictEqual(first.match, "new");
+  assert.strictEqual(first.confidence, null);
+
+  const second = await server.ingest({ components: list });
+  assert.strictEqual(second.match, "exact");
+  assert.strictEqual(second.confidence, 1);
+  assert.strictEqual(second.visitorId, first.visitorId);
+});
+
+test("a changed component matches the visitor fuzzily", async () => {
+  const server = new FingerprintServer();
+  const list = await components("Chrome 120 Windows");
+  const first = await server.ingest({ components: list });
+  const result = await server.ingest({
+    components: replace(list, "fonts", ["Arial"]),
+  });
+  assert.strictEqual(result.match, "fuzzy");
+  assert.strictEqual(result.visitorId, first.visitorId);
+  assert.ok(result.confidence >= 0.8 && result.confidence < 1);
+});
+
+test("fuzzy matching only considers visitors with the same screen", async () => {
+  const server = new FingerprintServer();
+  const list = await components("Chrome 120 Windows");
+  const first = await server.ingest({ components: list });
+  const result = await server.ingest({
+    components: replace(list, "screen", { size: [1366, 768] }),
+  });
+  assert.strictEqual(result.match, "new");
+  assert.notStrictEqual(result.visitorId, first.visitorId);
+});
+
+test("a payload without stable components is rejected", async () => {
+  const server = new FingerprintServer();
+  await assert.rejects(
+    server.ingest({ components: [{ key: "battery", value: null }] }),
+    (error) => error.status === 400
+  );
+});
+
+test("headers that disagree with the components are reported", async () => {
+  const server = new FingerprintServer();
+  const list = await components("Chrome 120 Windows");
+  const userAgent = list.find((c) => c.key === "userAgent").value;
+
+  const honest = await server.ingest(
+    { components: list },
+    headerUtils.extract(request({ "user-agent": userAgent }))
+  );
+  assert.deepStrictEqual(honest.headers.mismatches, []);
+
+  const forged = await server.ingest(
+    { components: list },
+    headerUtils.extract(
+      request({
+        "user-agent": userAgent,
+        "sec-ch-ua-platform": '"macOS"',
+      })
+    )
+  );
+  assert.strictEqual(forged.match, "exact");
+  assert.ok(forged.headers.mismatches.length > 0);
+});
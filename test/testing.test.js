@@ -0,0 +1,60 @@
+// The virtual browser in testing.js. Run with `node --test`.
+
+const test = require("node:test");
+const assert = require("assert");
+const testing = require("../testing.js");
+
+test("every built-in profile yields the same visitorId on each run", async () => {
+  for (const name of Object.keys(testing.profiles)) {
+    const first = await testing.run(name);
+    const second = await testing.run(name);
+    assert.strictEqual(first.visitorId, second.visitorId, name);
+  }
+});
+
+test("device variants do not collide", async () => {
+  const devices = testing.variants("Chrome 120 Windows", 100, { seed: 1 });
+  const ids = new Set();
+  for (const profile of devices) {
+    ids.add((await testing.run(profile)).visitorId);
+  }
+  assert.strictEqual(ids.size, 100);
+});
+
+test("variants are reproducible from their seed", () => {
+  assert.deepStrictEqual(
+    testing.variants("Safari iOS 17", 5, { seed: 7 }),
+    testing.variants("Safari iOS 17", 5, { seed: 7 })
+  );
+});
+
+test("the same device over time keeps its visitorId through the snapshot", async () => {
+  const state = {};
+  const versions = testing.variants("Chrome 120 Windows", 5, {
+    vary: ["browserVersion", "battery", "network"],
+  });
+  const ids = new Set();
+  for (const profile of versions) {
+    const result = await testing.run(
+      profile,
+      // Only the snapshot outlives the session
+      {
+        storage: {
+          cookie: false,
+          localStorage: false,
+          snapshot: "localStorage",
+        },
+      },
+      { state }
+    );
+    ids.add(result.visitorId);
+  }
+  assert.strictEqual(ids.size, 1);
+});
+
+test("uninstall restores the globals", () => {
+  const uninstall = testing.install("Headless Chrome");
+  assert.strictEqual(typeof navigator, "object");
+  uninstall();
+  assert.strictEqual(typeof navigator, "undefined");
+});
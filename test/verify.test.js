@@ -0,0 +1,82 @@
+// API key verification against a local stub endpoint. Run with `node --test`.
+
+const test = require("node:test");
+const assert = require("assert");
+const http = require("http");
+const Fingerprint = require("../index.js");
+
+// Answers every request with the next status in the list, repeating the last
+function stubServer(statuses) {
+  const server = http.createServer((req, res) => {
+    const status = statuses[Math.min(server.requests, statuses.length - 1)];
+    server.requests++;
+    res.statusCode = status;
+    res.end();
+  });
+  server.requests = 0;
+  return new Promise((resolve) =>
+    server.listen(0, "127.0.0.1", () => resolve(server))
+  );
+}
+
+function load(server, options = {}) {
+  return Fingerprint.load(
+    Object.assign(
+      {
+        apiKey: "test-key",
+        verifyUrl: `http://127.0.0.1:${server.address().port}/verify`,
+        include: [],
+      },
+      options
+    )
+  );
+}
+
+test("a 200 response is cached", async () => {
+  const server = await stubServer([200]);
+  try {
+    const bf = await load(server);
+    assert.strictEqual(await bf.verifyApiKey(), true);
+    assert.strictEqual(await bf.verifyApiKey(), true);
+    assert.strictEqual(server.requests, 1);
+  } finally {
+    server.close();
+  }
+});
+
+test("a 403 response rejects with InvalidApiKeyError", async () => {
+  const server = await stubServer([403]);
+  try {
+    const bf = await load(server);
+    await assert.rejects(
+      bf.verifyApiKey(),
+      (error) =>
+        error instanceof Fingerprint.InvalidApiKeyError && error.status === 403
+    );
+    // Client errors are not retried
+    assert.strictEqual(server.requests, 1);
+  } finally {
+    server.close();
+  }
+});
+
+test("a 500 response is retried and fails open", async () => {
+  const server = await stubServer([500]);
+  try {
+    const bf = await load(server, { verifyRetries: 1, failOpen: true });
+    assert.strictEqual(await bf.verifyApiKey(), true);
+    assert.strictEqual(server.requests, 2);
+  } finally {
+    server.close();
+  }
+});
+
+test("a 500 response rejects without failOpen", async () => {
+  const server = await stubServer([500]);
+  try {
+    const bf = await load(server, { verifyRetries: 0 });
+    await assert.rejects(bf.verifyApiKey(), /status 500/);
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,1483 @@
+/**
+ * Samarithan testing environment
+ * Installs a virtual browser described by a JSON profile on the global
+ * object, so Fingerprint.load().get() runs deterministically under Node or
+ * jsdom.
+ */
+
+const Fingerprint = require("./index.js");
+
+const { hashUtils } = Fingerprint;
+
+const utils = {
+  assign: function (target, ...sources) {
+    for (const source of sources) {
+      for (const key in source) {
+        if (Object.prototype.hasOwnProperty.call(source, key)) {
+          target[key] = source[key];
+        }
+      }
+    }
+    return target;
+  },
+};
+
+const chromePlugins = [
+  "PDF Viewer",
+  "Chrome PDF Viewer",
+  "Chromium PDF Viewer",
+  "Microsoft Edge PDF Viewer",
+  "WebKit built-in PDF",
+].map((name) => ({
+  name,
+  description: "Portable Document Format",
+  mimeTypes: [
+    { type: "application/pdf", suffixes: "pdf" },
+    { type: "text/pdf", suffixes: "pdf" },
+  ],
+}));
+
+// Built-in profiles. Every section is optional, an API whose section is
+// missing does not exist in the virtual browser.
+const profiles = {
+  "Chrome 120 Windows": {
+    navigator: {
+      userAgent:
+        "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
+      platform: "Win32",
+      vendor: "Google Inc.",
+      language: "en-US",
+      languages: ["en-US", "en"],
+      hardwareConcurrency: 8,
+      deviceMemory: 8,
+      maxTouchPoints: 0,
+      webdriver: false,
+      doNotTrack: null,
+      plugins: chromePlugins,
+      userAgentData: {
+        brands: [
+          { brand: "Not_A Brand", version: "8" },
+          { brand: "Chromium", version: "120" },
+          { brand: "Google Chrome", version: "120" },
+        ],
+        mobile: false,
+        platform: "Windows",
+        highEntropy: {
+          architecture: "x86",
+          bitness: "64",
+          model: "",
+          platformVersion: "15.0.0",
+          fullVersionList: [
+            { brand: "Not_A Brand", version: "8.0.0.0" },
+            { brand: "Chromium", version: "120.0.6099.130" },
+            { brand: "Google Chrome", version: "120.0.6099.130" },
+          ],
+        },
+      },
+      connection: {
+        effectiveType: "4g",
+        rtt: 50,
+        downlink: 10,
+        saveData: false,
+      },
+      battery: {
+        charging: true,
+        level: 1,
+        chargingTime: 0,
+        dischargingTime: null,
+      },
+      mediaDevices: [
+        { kind: "audioinput", deviceId: "", groupId: "", label: "" },
+        { kind: "videoinput", deviceId: "", groupId: "", label: "" },
+        { kind: "audiooutput", deviceId: "", groupId: "", label: "" },
+      ],
+      gpu: {
+        limits: {
+          maxBindGroups: 4,
+          maxComputeWorkgroupSizeX: 256,
+          maxComputeWorkgroupSizeY: 256,
+          maxComputeWorkgroupSizeZ: 64,
+          maxComputeWorkgroupsPerDimension: 65535,
+        },
+        features: ["depth-clip-control", "texture-compression-bc"],
+      },
+    },
+    chrome: true,
+    screen: {
+      width: 1920,
+      height: 1080,
+      availWidth: 1920,
+      availHeight: 1040,
+      colorDepth: 24,
+      pixelDepth: 24,
+      orientation: "landscape-primary",
+    },
+    devicePixelRatio: 1,
+    timezone: "America/New_York",
+    locale: "en-US",
+    media: {
+      "prefers-color-scheme": "light",
+      "prefers-reduced-motion": "no-preference",
+      "prefers-contrast": "no-preference",
+      "forced-colors": "none",
+      "dynamic-range": "standard",
+      "any-pointer": "fine",
+      "any-hover": "hover",
+      "color-gamut": "srgb",
+    },
+    css: { unsupported: ["box-reflect: right"] },
+    fonts: [
+      "Arial",
+      "Arial Black",
+      "Calibri",
+      "Cambria",
+      "Cambria Math",
+      "Comic Sans MS",
+      "Consolas",
+      "Courier New",
+      "Georgia",
+      "Impact",
+      "Lucida Console",
+      "Lucida Sans Unicode",
+      "Malgun Gothic",
+      "Microsoft Sans Serif",
+      "Microsoft YaHei",
+      "MS Gothic",
+      "MS PGothic",
+      "Palatino Linotype",
+      "Segoe Print",
+      "Segoe Script",
+      "Segoe UI",
+      "Segoe UI Light",
+      "Segoe UI Semibold",
+      "Segoe UI Symbol",
+      "SimSun",
+      "Tahoma",
+      "Times New Roman",
+      "Trebuchet MS",
+      "Verdana",
+      "Wingdings",
+      "Yu Gothic",
+    ],
+    canvas: { seed: "chrome-120-windows", winding: true },
+    audio: { sum: 124.04347527516074 },
+    webgl: {
+      version: 2,
+      vendor: "WebKit",
+      renderer: "WebKit WebGL",
+      unmaskedVendor: "Google Inc. (NVIDIA)",
+      unmaskedRenderer:
+        "ANGLE (NVIDIA, NVIDIA GeForce RTX 3060 Direct3D11 vs_5_0 ps_5_0, D3D11)",
+      extensions: [
+        "ANGLE_instanced_arrays",
+        "EXT_color_buffer_float",
+        "EXT_texture_filter_anisotropic",
+        "OES_texture_float_linear",
+        "WEBGL_debug_renderer_info",
+        "WEBGL_lose_context",
+      ],
+      parameters: {
+        VERSION: "WebGL 2.0 (OpenGL ES 3.0 Chromium)",
+        SHADING_LANGUAGE_VERSION:
+          "WebGL GLSL ES 3.00 (OpenGL ES GLSL ES 3.0 Chromium)",
+        ALIASED_LINE_WIDTH_RANGE: [1, 1],
+        ALIASED_POINT_SIZE_RANGE: [1, 1024],
+        MAX_TEXTURE_SIZE: 16384,
+        MAX_RENDERBUFFER_SIZE: 16384,
+        MAX_VIEWPORT_DIMS: [32767, 32767],
+        MAX_VERTEX_ATTRIBS: 16,
+        MAX_TEXTURE_IMAGE_UNITS: 16,
+        MAX_TEXTURE_MAX_ANISOTROPY_EXT: 16,
+        MAX_3D_TEXTURE_SIZE: 2048,
+        MAX_SAMPLES: 16,
+      },
+      precision: { float: [127, 127, 23], int: [31, 30, 0] },
+      renderSeed: "angle-d3d11-rtx3060",
+    },
+    voices: [
+      { name: "Microsoft David - English (United States)", lang: "en-US" },
+      { name: "Microsoft Mark - English (United States)", lang: "en-US" },
+      { name: "Microsoft Zira - English (United States)", lang: "en-US" },
+    ],
+    webrtc: {
+      fingerprint:
+        "3C:1A:9F:44:6B:0D:52:E7:88:21:C4:5A:F0:3E:97:6D:12:B8:4F:A3:5C:E9:70:2B:66:D1:08:93:AF:4E:C7:35",
+    },
+    sensors: [
+      "GravitySensor",
+      "AbsoluteOrientationSensor",
+      "RelativeOrientationSensor",
+    ],
+  },
+
+  "Safari iOS 17": {
+    navigator: {
+      userAgent:
+        "Mozilla/5.0 (iPhone; CPU iPhone OS 17_2 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2 Mobile/15E148 Safari/604.1",
+      platform: "iPhone",
+      vendor: "Apple Computer, Inc.",
+      language: "en-US",
+      languages: ["en-US"],
+      hardwareConcurrency: 4,
+      maxTouchPoints: 5,
+      webdriver: false,
+      plugins: [],
+      mediaDevices: [
+        { kind: "audioinput", deviceId: "", groupId: "", label: "" },
+        { kind: "videoinput", deviceId: "", groupId: "", label: "" },
+      ],
+    },
+    touch: true,
+    screen: {
+      width: 390,
+      height: 844,
+      availWidth: 390,
+      availHeight: 844,
+      colorDepth: 24,
+      pixelDepth: 24,
+      orientation: "portrait-primary",
+    },
+    devicePixelRatio: 3,
+    timezone: "America/Los_Angeles",
+    locale: "en-US",
+    media: {
+      "prefers-color-scheme": "dark",
+      "prefers-reduced-motion": "no-preference",
+      "prefers-contrast": "no-preference",
+      "inverted-colors": "none",
+      "dynamic-range": "high",
+      "any-pointer": "coarse",
+      "any-hover": "none",
+      "color-gamut": "p3",
+    },
+    css: { unsupported: ["backdrop-filter: blur(2px)", "box-reflect: right"] },
+    fonts: [
+      "American Typewriter",
+      "Apple Color Emoji",
+      "Arial",
+      "Avenir",
+      "Avenir Next",
+      "Baskerville",
+      "Courier",
+      "Courier New",
+      "Didot",
+      "Futura",
+      "Georgia",
+      "Gill Sans",
+      "Helvetica",
+      "Helvetica Neue",
+      "Hiragino Sans",
+      "Menlo",
+      "Optima",
+      "Papyrus",
+      "PingFang SC",
+      "PingFang TC",
+      "Snell Roundhand",
+      "Times New Roman",
+      "Trebuchet MS",
+      "Verdana",
+      "Zapfino",
+    ],
+    canvas: { seed: "safari-17-ios", winding: true },
+    audio: { sum: 124.08072766105033 },
+    webgl: {
+      version: 2,
+      vendor: "WebKit",
+      renderer: "WebKit WebGL",
+      unmaskedVendor: "Apple Inc.",
+      unmaskedRenderer: "Apple GPU",
+      extensions: [
+        "EXT_color_buffer_float",
+        "EXT_texture_filter_anisotropic",
+        "WEBGL_debug_renderer_info",
+        "WEBGL_lose_context",
+      ],
+      parameters: {
+        VERSION: "WebGL 2.0",
+        SHADING_LANGUAGE_VERSION: "WebGL GLSL ES 3.00",
+        ALIASED_LINE_WIDTH_RANGE: [1, 1],
+        ALIASED_POINT_SIZE_RANGE: [1, 511],
+        MAX_TEXTURE_SIZE: 16384,
+        MAX_RENDERBUFFER_SIZE: 16384,
+        MAX_VIEWPORT_DIMS: [16384, 16384],
+        MAX_VERTEX_ATTRIBS: 16,
+        MAX_TEXTURE_IMAGE_UNITS: 16,
+        MAX_TEXTURE_MAX_ANISOTROPY_EXT: 16,
+        MAX_3D_TEXTURE_SIZE: 2048,
+        MAX_SAMPLES: 4,
+      },
+      precision: { float: [127, 127, 23], int: [31, 30, 0] },
+      renderSeed: "apple-gpu-a16",
+    },
+    voices: [
+      { name: "Samantha", lang: "en-US" },
+      { name: "Daniel", lang: "en-GB" },
+      { name: "Karen", lang: "en-AU" },
+    ],
+    webrtc: {
+      fingerprint:
+        "91:0E:C2:7B:5D:A8:34:F6:1C:E0:6A:B9:43:2F:D7:88:05:7E:BC:19:A4:63:F2:0D:58:C1:9B:36:E4:7A:2C:D0",
+    },
+  },
+
+  // Old headless mode: webdriver set, no plugins, no window.chrome and a
+  // software renderer
+  "Headless Chrome": {
+    navigator: {
+      userAgent:
+        "Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) HeadlessChrome/120.0.6099.109 Safari/537.36",
+      platform: "Linux x86_64",
+      vendor: "Google Inc.",
+      language: "en-US",
+      languages: ["en-US"],
+      hardwareConcurrency: 2,
+      deviceMemory: 8,
+      maxTouchPoints: 0,
+      webdriver: true,
+      doNotTrack: null,
+      plugins: [],
+      userAgentData: {
+        brands: [
+          { brand: "Not_A Brand", version: "8" },
+          { brand: "Chromium", version: "120" },
+          { brand: "HeadlessChrome", version: "120" },
+        ],
+        mobile: false,
+        platform: "Linux",
+        highEntropy: {
+          architecture: "x86",
+          bitness: "64",
+          model: "",
+          platformVersion: "6.5.0",
+          fullVersionList: [
+            { brand: "Not_A Brand", version: "8.0.0.0" },
+            { brand: "Chromium", version: "120.0.6099.109" },
+            { brand: "HeadlessChrome", version: "120.0.6099.109" },
+          ],
+        },
+      },
+      connection: {
+        effectiveType: "4g",
+        rtt: 0,
+        downlink: 10,
+        saveData: false,
+      },
+      battery: {
+        charging: true,
+        level: 1,
+        chargingTime: 0,
+        dischargingTime: null,
+      },
+      mediaDevices: [],
+    },
+    screen: {
+      width: 800,
+      height: 600,
+      availWidth: 800,
+      availHeight: 600,
+      colorDepth: 24,
+      pixelDepth: 24,
+      orientation: "landscape-primary",
+    },
+    devicePixelRatio: 1,
+    timezone: "UTC",
+    locale: "en-US",
+    media: {
+      "prefers-color-scheme": "light",
+      "prefers-reduced-motion": "no-preference",
+      "prefers-contrast": "no-preference",
+      "forced-colors": "none",
+      "dynamic-range": "standard",
+      "any-pointer": "fine",
+      "any-hover": "hover",
+      "color-gamut": "srgb",
+    },
+    css: { unsupported: ["box-reflect: right"] },
+    fonts: [
+      "DejaVu Sans",
+      "DejaVu Sans Mono",
+      "DejaVu Serif",
+      "Liberation Mono",
+      "Liberation Sans",
+      "Liberation Serif",
+    ],
+    canvas: { seed: "headless-chrome-120-linux", winding: true },
+    audio: { sum: 124.04344884395687 },
+    webgl: {
+      version: 2,
+      vendor: "WebKit",
+      renderer: "WebKit WebGL",
+      unmaskedVendor: "Google Inc. (Google)",
+      unmaskedRenderer:
+        "ANGLE (Google, Vulkan 1.3.0 (SwiftShader Device (Subzero) (0x0000C0DE)), SwiftShader driver)",
+      extensions: [
+        "ANGLE_instanced_arrays",
+        "EXT_color_buffer_float",
+        "WEBGL_debug_renderer_info",
+        "WEBGL_lose_context",
+      ],
+      parameters: {
+        VERSION: "WebGL 2.0 (OpenGL ES 3.0 Chromium)",
+        SHADING_LANGUAGE_VERSION:
+          "WebGL GLSL ES 3.00 (OpenGL ES GLSL ES 3.0 Chromium)",
+        ALIASED_LINE_WIDTH_RANGE: [1, 1],
+        ALIASED_POINT_SIZE_RANGE: [1, 1024],
+        MAX_TEXTURE_SIZE: 8192,
+        MAX_RENDERBUFFER_SIZE: 8192,
+        MAX_VIEWPORT_DIMS: [8192, 8192],
+        MAX_VERTEX_ATTRIBS: 16,
+        MAX_TEXTURE_IMAGE_UNITS: 16,
+        MAX_3D_TEXTURE_SIZE: 2048,
+        MAX_SAMPLES: 4,
+      },
+      precision: { float: [127, 127, 23], int: [31, 30, 0] },
+      renderSeed: "swiftshader",
+    },
+    voices: [],
+    webrtc: {
+      fingerprint:
+        "7F:22:B6:0A:E3:59:C8:1D:4E:93:A0:6C:F5:28:BD:71:0E:84:3B:D9:66:AF:12:C7:50:E8:9D:34:B1:0F:6A:E2",
+    },
+    sensors: [
+      "GravitySensor",
+      "AbsoluteOrientationSensor",
+      "RelativeOrientationSensor",
+    ],
+  },
+};
+
+// Changes applied by variants(). The first group makes a different device,
+// the second the same device on another day.
+const mutators = {
+  canvas: function (profile, rand) {
+    if (profile.canvas) {
+      profile.canvas.seed += `-${Math.floor(rand() * 1e9).toString(36)}`;
+    }
+  },
+
+  audio: function (profile, rand) {
+    if (profile.audio) {
+      profile.audio.sum += Math.floor(rand() * 1e6) / 1e9;
+    }
+  },
+
+  webgl: function (profile, rand) {
+    if (profile.webgl) {
+      profile.webgl.renderSeed += `-${Math.floor(rand() * 1e9).toString(36)}`;
+    }
+  },
+
+  screen: function (profile, rand) {
+    const screen = profile.screen;
+    if (!screen) {
+      return;
+    }
+    const sizes =
+      screen.width > screen.height
+        ? [
+            [1366, 768],
+            [1440, 900],
+            [1536, 864],
+            [1920, 1080],
+            [2560, 1440],
+          ]
+        : [
+            [375, 667],
+            [390, 844],
+            [393, 852],
+            [412, 915],
+            [430, 932],
+          ];
+    const [width, height] = pick(rand, sizes);
+    screen.availWidth = width - (screen.width - screen.availWidth);
+    screen.availHeight = height - (screen.height - screen.availHeight);
+    screen.width = width;
+    screen.height = height;
+  },
+
+  fonts: function (profile, rand) {
+    if (profile.fonts && profile.fonts.length) {
+      profile.fonts.splice(Math.floor(rand() * profile.fonts.length), 1);
+    }
+  },
+
+  hardware: function (profile, rand) {
+    const nav = profile.navigator || {};
+    if (nav.hardwareConcurrency !== undefined) {
+      nav.hardwareConcurrency = pick(rand, [2, 4, 6, 8, 12, 16]);
+    }
+    if (nav.deviceMemory !== undefined) {
+      nav.deviceMemory = pick(rand, [2, 4, 8]);
+    }
+  },
+
+  timezone: function (profile, rand) {
+    profile.timezone = pick(rand, [
+      "America/Chicago",
+      "America/Denver",
+      "America/New_York",
+      "America/Sao_Paulo",
+      "Asia/Tokyo",
+      "Europe/Berlin",
+      "Europe/London",
+    ]);
+  },
+
+  // The nth variant is n + 1 major versions ahead
+  browserVersion: function (profile, rand, index) {
+    const nav = profile.navigator || {};
+    const bump = (version) =>
+      String(version).replace(/^\d+/, (major) => Number(major) + index + 1);
+    if (nav.userAgent) {
+      nav.userAgent = nav.userAgent.replace(
+        /((?:Chrome|Version)\/)(\d+)/,
+        (match, name, major) => name + bump(major)
+      );
+    }
+    if (nav.userAgentData) {
+      for (const b of nav.userAgentData.brands) {
+        b.version = bump(b.version);
+      }
+      for (const b of nav.userAgentData.highEntropy.fullVersionList || []) {
+        b.version = bump(b.version);
+      }
+    }
+  },
+
+  battery: function (profile, rand) {
+    const battery = profile.navigator && profile.navigator.battery;
+    if (battery) {
+      battery.charging = rand() < 0.5;
+      battery.level = Math.round(rand() * 100) / 100;
+    }
+  },
+
+  network: function (profile, rand) {
+    const connection = profile.navigator && profile.navigator.connection;
+    if (connection) {
+      connection.rtt = Math.round(rand() * 20) * 25;
+      connection.downlink = Math.round(rand() * 100) / 10;
+    }
+  },
+};
+
+const deviceMutators = [
+  "canvas",
+  "audio",
+  "webgl",
+  "screen",
+  "fonts",
+  "hardware",
+  "timezone",
+];
+
+// mulberry32
+function random(seed) {
+  let state = seed >>> 0;
+  return function () {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function pick(rand, values) {
+  return values[Math.floor(rand() * values.length)];
+}
+
+function resolve(profile) {
+  if (typeof profile === "string") {
+    if (!profiles[profile]) {
+      throw new Error(`Unknown profile: ${profile}`);
+    }
+    profile = profiles[profile];
+  }
+  return JSON.parse(JSON.stringify(profile));
+}
+
+// Functions behind a Proxy stringify as native code, like the browser's
+// own, so the lie detector has nothing to flag in the profile's own fields
+const native = (fn) => new Proxy(fn, {});
+
+// Builders for the virtual browser's objects
+const virtualBrowser = {
+  // overrides are getters patched onto the prototype the way a spoofing
+  // extension would, so they do not stringify as native code
+  nativeClass: function (
+    members = {},
+    getters = {},
+    construct,
+    overrides = {}
+  ) {
+    const Class = native(function () {
+      if (construct) {
+        construct.apply(this, arguments);
+      }
+    });
+    for (const name in members) {
+      Object.defineProperty(Class.prototype, name, {
+        value: native(members[name]),
+        writable: true,
+        configurable: true,
+      });
+    }
+    for (const name in getters) {
+      Object.defineProperty(Class.prototype, name, {
+        get: native(getters[name]),
+        enumerable: true,
+        configurable: true,
+      });
+    }
+    for (const name in overrides) {
+      const value = overrides[name];
+      Object.defineProperty(Class.prototype, name, {
+        get: function () {
+          return value;
+        },
+        enumerable: true,
+        configurable: true,
+      });
+    }
+    return Class;
+  },
+
+  navigator: function (profile) {
+    const nav = profile.navigator || {};
+    const getters = {};
+    for (const name of [
+      "userAgent",
+      "platform",
+      "vendor",
+      "language",
+      "hardwareConcurrency",
+      "deviceMemory",
+      "maxTouchPoints",
+      "webdriver",
+      "doNotTrack",
+      "globalPrivacyControl",
+      "connection",
+    ]) {
+      if (nav[name] !== undefined) {
+        getters[name] = () => nav[name];
+      }
+    }
+    getters.languages = () => Object.freeze((nav.languages || []).slice());
+    getters.cookieEnabled = () => true;
+    getters.onLine = () => true;
+
+    const plugins = (nav.plugins || []).map((plugin) => {
+      const item = { name: plugin.name, description: plugin.description };
+      plugin.mimeTypes.forEach((mime, i) => {
+        item[i] = { type: mime.type, suffixes: mime.suffixes };
+      });
+      item.length = plugin.mimeTypes.length;
+      return item;
+    });
+    if (nav.plugins) {
+      getters.plugins = () => plugins;
+    }
+
+    const uaData = nav.userAgentData;
+    if (uaData) {
+      getters.userAgentData = () => ({
+        brands: uaData.brands,
+        mobile: uaData.mobile,
+        platform: uaData.platform,
+        getHighEntropyValues: async (hints) => {
+          const values = {
+            brands: uaData.brands,
+            mobile: uaData.mobile,
+            platform: uaData.platform,
+          };
+          for (const hint of hints) {
+            if (uaData.highEntropy[hint] !== undefined) {
+              values[hint] = uaData.highEntropy[hint];
+            }
+          }
+          return values;
+        },
+      });
+    }
+
+    if (nav.mediaDevices) {
+      getters.mediaDevices = () => ({
+        enumerateDevices: async () => nav.mediaDevices.map((d) => ({ ...d })),
+      });
+    }
+    if (nav.gpu) {
+      getters.gpu = () => ({
+        requestAdapter: async () => ({
+          limits: nav.gpu.limits,
+          features: new Set(nav.gpu.features),
+        }),
+      });
+    }
+
+    const members = {};
+    if (nav.battery) {
+      // JSON has no Infinity
+      const infinite = (n) => (n === null ? Infinity : n);
+      members.getBattery = async () => ({
+        charging: nav.battery.charging,
+        level: nav.battery.level,
+        chargingTime: infinite(nav.battery.chargingTime),
+        dischargingTime: infinite(nav.battery.dischargingTime),
+      });
+    }
+
+    const Navigator = virtualBrowser.nativeClass(
+      members,
+      getters,
+      null,
+      (profile.spoofed || {}).navigator
+    );
+    return { Navigator, navigator: new Navigator() };
+  },
+
+  screen: function (profile) {
+    const screen = profile.screen || {};
+    const getters = {};
+    for (const name of [
+      "width",
+      "height",
+      "availWidth",
+      "availHeight",
+      "availTop",
+      "availLeft",
+      "colorDepth",
+      "pixelDepth",
+    ]) {
+      getters[name] = () => screen[name] || 0;
+    }
+    getters.orientation = () =>
+      screen.orientation
+        ? {
+            type: screen.orientation,
+            angle: /secondary/.test(screen.orientation) ? 180 : 0,
+          }
+        : null;
+
+    const Screen = virtualBrowser.nativeClass(
+      {},
+      getters,
+      null,
+      (profile.spoofed || {}).screen
+    );
+    return { Screen, screen: new Screen() };
+  },
+
+  // Pages hold the canvas output as a hash of the drawing calls and the
+  // profile's seed; noise: true emulates per-call randomization
+  canvas: function (profile) {
+    const options = profile.canvas || {};
+    const noise = () => (options.noise ? `|${Math.random()}` : "");
+
+    const CanvasRenderingContext2D = virtualBrowser.nativeClass(
+      {
+        fillRect(...args) {
+          this._draw("fillRect", args);
+        },
+        fillText(...args) {
+          this._draw("fillText", args);
+        },
+        arc(...args) {
+          this._draw("arc", args);
+        },
+        rect(...args) {
+          this._draw("rect", args);
+        },
+        beginPath() {
+          this._draw("beginPath", []);
+        },
+        closePath() {
+          this._draw("closePath", []);
+        },
+        fill(...args) {
+          this._draw("fill", args);
+        },
+        isPointInPath() {
+          return options.winding === false;
+        },
+        measureText(text) {
+          return {
+            width: String(text).length * 10,
+            actualBoundingBoxAscent: 10,
+            actualBoundingBoxDescent: 2,
+          };
+        },
+        getImageData(x, y, width, height) {
+          const data = new Uint8ClampedArray(width * height * 4);
+          const rgb = /rgb\((\d+),\s*(\d+),\s*(\d+)\)/.exec(this.fillStyle);
+          for (let i = 0; rgb && i < data.length; i += 4) {
+            data[i] = Number(rgb[1]);
+            data[i + 1] = Number(rgb[2]);
+            data[i + 2] = Number(rgb[3]);
+            data[i + 3] = 255;
+          }
+          if (options.noise && data.length) {
+            data[0] ^= 1;
+          }
+          return { width, height, data };
+        },
+        _draw(name, args) {
+          this._ops.push(
+            [
+              name,
+              JSON.stringify(args),
+              this.fillStyle,
+              this.font,
+              this.textBaseline,
+              this.globalCompositeOperation,
+            ].join("|")
+          );
+        },
+      },
+      {},
+      function (canvas) {
+        this.canvas = canvas;
+        this._ops = [];
+        this.fillStyle = "#000000";
+        this.font = "10px sans-serif";
+        this.textBaseline = "alphabetic";
+        this.globalCompositeOperation = "source-over";
+      }
+    );
+
+    const webgl = virtualBrowser.webgl(profile);
+    const HTMLCanvasElement = virtualBrowser.nativeClass(
+      {
+        getContext(type) {
+          if (type === "2d") {
+            this._context = this._context || new CanvasRenderingContext2D(this);
+            return this._context;
+          }
+          if (
+            !webgl.create ||
+            (type === "webgl2" && profile.webgl.version < 2)
+          ) {
+            return null;
+          }
+          return ["webgl", "webgl2", "experimental-webgl"].indexOf(type) >= 0
+            ? webgl.create(this, type === "webgl2")
+            : null;
+        },
+        toDataURL() {
+          const ops = this._context ? this._context._ops.join(";") : "";
+          return (
+            "data:image/png;base64," +
+            hashUtils.murmur3(
+              `${options.seed}|${this.width}x${this.height}|${ops}${noise()}`
+            )
+          );
+        },
+      },
+      {},
+      function () {
+        this.width = 300;
+        this.height = 150;
+      }
+    );
+
+    return {
+      HTMLCanvasElement,
+      CanvasRenderingContext2D,
+      WebGLRenderingContext: webgl.WebGLRenderingContext,
+      WebGL2RenderingContext: webgl.WebGL2RenderingContext,
+    };
+  },
+
+  webgl: function (profile) {
+    const options = profile.webgl;
+    if (!options) {
+      return {};
+    }
+
+    const constants = {
+      VENDOR: 0x1f00,
+      RENDERER: 0x1f01,
+      VERSION: 0x1f02,
+      SHADING_LANGUAGE_VERSION: 0x8b8c,
+      VERTEX_SHADER: 0x8b31,
+      FRAGMENT_SHADER: 0x8b30,
+      LOW_FLOAT: 0x8df0,
+      MEDIUM_FLOAT: 0x8df1,
+      HIGH_FLOAT: 0x8df2,
+      LOW_INT: 0x8df3,
+      MEDIUM_INT: 0x8df4,
+      HIGH_INT: 0x8df5,
+      LINK_STATUS: 0x8b82,
+      ARRAY_BUFFER: 0x8892,
+      STATIC_DRAW: 0x88e4,
+      FLOAT: 0x1406,
+      COLOR_BUFFER_BIT: 0x4000,
+      TRIANGLE_FAN: 0x0006,
+      RGBA: 0x1908,
+      UNSIGNED_BYTE: 0x1401,
+    };
+    const extensionConstants = {
+      UNMASKED_VENDOR_WEBGL: 0x9245,
+      UNMASKED_RENDERER_WEBGL: 0x9246,
+      MAX_TEXTURE_MAX_ANISOTROPY_EXT: 0x84ff,
+    };
+    // Parameters only the profile knows get made-up enum values
+    Object.keys(options.parameters || {}).forEach((name, i) => {
+      if (!constants[name] && !extensionConstants[name]) {
+        constants[name] = 0x10000 + i;
+      }
+    });
+
+    const names = {};
+    for (const name in constants) {
+      names[constants[name]] = name;
+    }
+    for (const name in extensionConstants) {
+      names[extensionConstants[name]] = name;
+    }
+    const values = utils.assign({}, options.parameters, {
+      VENDOR: options.vendor,
+      RENDERER: options.renderer,
+      UNMASKED_VENDOR_WEBGL: options.unmaskedVendor,
+      UNMASKED_RENDERER_WEBGL: options.unmaskedRenderer,
+    });
+    const extensions = options.extensions || [];
+    const precision = options.precision || {};
+    const noop = () => {};
+
+    const members = {
+      getParameter(id) {
+        const value = values[names[id]];
+        return value === undefined ? null : value;
+      },
+      getSupportedExtensions() {
+        return extensions.slice();
+      },
+      getExtension(name) {
+        if (extensions.indexOf(name) < 0) {
+          return null;
+        }
+        if (name === "WEBGL_debug_renderer_info") {
+          return {
+            UNMASKED_VENDOR_WEBGL: extensionConstants.UNMASKED_VENDOR_WEBGL,
+            UNMASKED_RENDERER_WEBGL: extensionConstants.UNMASKED_RENDERER_WEBGL,
+          };
+        }
+        if (name === "EXT_texture_filter_anisotropic") {
+          return {
+            MAX_TEXTURE_MAX_ANISOTROPY_EXT:
+              extensionConstants.MAX_TEXTURE_MAX_ANISOTROPY_EXT,
+          };
+        }
+        if (name === "WEBGL_lose_context") {
+          return { loseContext: noop, restoreContext: noop };
+        }
+        return {};
+      },
+      getShaderPrecisionFormat(shader, type) {
+        const format = /FLOAT/.test(names[type])
+          ? precision.float
+          : precision.int;
+        return format
+          ? { rangeMin: format[0], rangeMax: format[1], precision: format[2] }
+          : null;
+      },
+      getProgramParameter() {
+        return true;
+      },
+      getAttribLocation() {
+        return 0;
+      },
+      createShader() {
+        return {};
+      },
+      createProgram() {
+        return {};
+      },
+      createBuffer() {
+        return {};
+      },
+      // The rendered scene is a byte pattern derived from renderSeed
+      readPixels(x, y, width, height, format, type, pixels) {
+        const hash = hashUtils.murmur3(`${options.renderSeed}`);
+        for (let i = 0; i < pixels.length; i++) {
+          pixels[i] = parseInt(hash.substr((i % 16) * 2, 2), 16);
+        }
+      },
+    };
+    for (const name of [
+      "shaderSource",
+      "compileShader",
+      "attachShader",
+      "linkProgram",
+      "useProgram",
+      "bindBuffer",
+      "bufferData",
+      "enableVertexAttribArray",
+      "vertexAttribPointer",
+      "viewport",
+      "clearColor",
+      "clear",
+      "drawArrays",
+    ]) {
+      members[name] = noop;
+    }
+
+    const construct = function (canvas) {
+      this.canvas = canvas;
+      this.drawingBufferWidth = canvas.width;
+      this.drawingBufferHeight = canvas.height;
+    };
+    const WebGLRenderingContext = virtualBrowser.nativeClass(
+      members,
+      {},
+      construct
+    );
+    const WebGL2RenderingContext = virtualBrowser.nativeClass(
+      members,
+      {},
+      construct
+    );
+    for (const Class of [WebGLRenderingContext, WebGL2RenderingContext]) {
+      utils.assign(Class.prototype, constants);
+    }
+
+    return {
+      WebGLRenderingContext,
+      WebGL2RenderingContext,
+      create: (canvas, webgl2) =>
+        webgl2
+          ? new WebGL2RenderingContext(canvas)
+          : new WebGLRenderingContext(canvas),
+    };
+  },
+
+  // Renders samples whose absolute sum past the component's offset is
+  // close to the profile's audio.sum
+  audio: function (profile) {
+    const options = profile.audio;
+    const AudioBuffer = virtualBrowser.nativeClass(
+      {
+        getChannelData() {
+          return this._samples;
+        },
+      },
+      {},
+      function (samples) {
+        this._samples = samples;
+        this.length = samples.length;
+      }
+    );
+
+    const param = (value) => ({ value });
+    const node = () => ({ connect() {}, disconnect() {} });
+    const OfflineAudioContext = virtualBrowser.nativeClass(
+      {
+        createOscillator() {
+          return utils.assign(node(), {
+            type: "sine",
+            frequency: param(440),
+            start() {},
+          });
+        },
+        createDynamicsCompressor() {
+          return utils.assign(node(), {
+            threshold: param(-24),
+            knee: param(30),
+            ratio: param(12),
+            attack: param(0.003),
+            release: param(0.25),
+          });
+        },
+        startRendering() {
+          const samples = new Float32Array(this.length);
+          const offset = 4500;
+          const noise = options.noise ? Math.random() * 1e-3 : 0;
+          samples.fill((options.sum + noise) / (this.length - offset), offset);
+          return Promise.resolve(new AudioBuffer(samples));
+        },
+      },
+      {},
+      function (channels, length, sampleRate) {
+        this.length = length;
+        this.sampleRate = sampleRate;
+        this.destination = node();
+      }
+    );
+
+    return { AudioBuffer, OfflineAudioContext };
+  },
+
+  matchMedia: function (profile) {
+    const media = profile.media || {};
+    const gamuts = ["srgb", "p3", "rec2020"];
+    return (query) => {
+      const match = /^\((min-|max-)?([a-z-]+):\s*([^)]+)\)$/.exec(query.trim());
+      let matches = false;
+      if (match) {
+        const [, range, feature, value] = match;
+        if (feature === "monochrome") {
+          const bits = media.monochrome || 0;
+          matches =
+            range === "min-" ? bits >= Number(value) : bits === Number(value);
+        } else if (feature === "color-gamut") {
+          matches =
+            gamuts.indexOf(value) >= 0 &&
+            gamuts.indexOf(value) <= gamuts.indexOf(media["color-gamut"]);
+        } else {
+          matches = media[feature] === value;
+        }
+      }
+      return {
+        matches,
+        media: query,
+        addListener() {},
+        removeListener() {},
+        addEventListener() {},
+        removeEventListener() {},
+      };
+    };
+  },
+
+  // items is the backing object, so it can outlive the install
+  storage: function (items = {}) {
+    return {
+      get length() {
+        return Object.keys(items).length;
+      },
+      key: (i) => Object.keys(items)[i] || null,
+      getItem: (key) =>
+        Object.prototype.hasOwnProperty.call(items, key) ? items[key] : null,
+      setItem: (key, value) => {
+        items[key] = String(value);
+      },
+      removeItem: (key) => {
+        delete items[key];
+      },
+      clear: () => {
+        for (const key in items) {
+          delete items[key];
+        }
+      },
+    };
+  },
+
+  document: function (profile, classes, cookies = {}) {
+    const fonts = profile.fonts || [];
+    const generic = ["monospace", "sans-serif", "serif"];
+
+    const element = (tag) => ({
+      tagName: tag.toUpperCase(),
+      style: {},
+      children: [],
+      textContent: "",
+      offsetWidth: 0,
+      offsetHeight: 0,
+      setAttribute() {},
+      appendChild(child) {
+        this.children.push(child);
+        return child;
+      },
+      removeChild(child) {
+        this.children.splice(this.children.indexOf(child), 1);
+        return child;
+      },
+      remove() {},
+      addEventListener() {},
+      removeEventListener() {},
+    });
+
+    const document = {
+      documentElement: element("html"),
+      head: element("head"),
+      body: element("body"),
+      createElement: (tag) =>
+        tag.toLowerCase() === "canvas"
+          ? new classes.HTMLCanvasElement()
+          : element(tag),
+      createEvent: (type) => {
+        if (type === "TouchEvent" && !profile.touch) {
+          throw new Error("The provided event type is not supported");
+        }
+        return { type, initEvent() {} };
+      },
+      fonts: {
+        check: (font) => {
+          const family = /"([^"]+)"|([\w-]+)\s*$/.exec(font);
+          const name = family ? family[1] || family[2] : "";
+          return generic.indexOf(name) >= 0 || fonts.indexOf(name) >= 0;
+        },
+      },
+      addEventListener() {},
+      removeEventListener() {},
+    };
+
+    // Name/value pairs only; attributes are ignored except for expiry
+    Object.defineProperty(document, "cookie", {
+      get: () =>
+        Object.keys(cookies)
+          .map((name) => `${name}=${cookies[name]}`)
+          .join("; "),
+      set: (cookie) => {
+        const parts = String(cookie).split(";");
+        const pair = parts[0].split("=");
+        const name = pair.shift().trim();
+        const expires = parts
+          .map((part) => /^\s*expires=(.*)$/i.exec(part))
+          .find(Boolean);
+        const maxAge = parts
+          .map((part) => /^\s*max-age=(.*)$/i.exec(part))
+          .find(Boolean);
+        if (
+          (expires && Date.parse(expires[1]) <= Date.now()) ||
+          (maxAge && Number(maxAge[1]) <= 0)
+        ) {
+          delete cookies[name];
+        } else {
+          cookies[name] = pair.join("=");
+        }
+      },
+    });
+
+    return document;
+  },
+
+  // Intl and Date#toLocale*String default to the profile's locale and
+  // timezone instead of the host's
+  intl: function (profile) {
+    const locale = profile.locale;
+    const timeZone = profile.timezone;
+    const wrap = (Base, zoned) => {
+      const Wrapped = function (locales, options) {
+        return new Base(
+          locales === undefined ? locale : locales,
+          zoned && timeZone ? utils.assign({ timeZone }, options) : options
+        );
+      };
+      Wrapped.prototype = Base.prototype;
+      Wrapped.supportedLocalesOf = Base.supportedLocalesOf;
+      return Wrapped;
+    };
+
+    const intl = Object.create(Intl);
+    intl.DateTimeFormat = wrap(Intl.DateTimeFormat, true);
+    intl.NumberFormat = wrap(Intl.NumberFormat);
+    intl.Collator = wrap(Intl.Collator);
+
+    const dateMethods = {};
+    for (const name of [
+      "toLocaleString",
+      "toLocaleDateString",
+      "toLocaleTimeString",
+    ]) {
+      const original = Date.prototype[name];
+      dateMethods[name] = function (locales, options) {
+        return original.call(
+          this,
+          locales === undefined ? locale : locales,
+          timeZone ? utils.assign({ timeZone }, options) : options
+        );
+      };
+    }
+
+    return { intl, dateMethods };
+  },
+
+  speechSynthesis: function (profile) {
+    const voices = profile.voices.map((voice) => ({
+      name: voice.name,
+      lang: voice.lang,
+      localService: voice.localService !== false,
+      voiceURI: voice.voiceURI || voice.name,
+      default: false,
+    }));
+    return {
+      getVoices: () => voices.slice(),
+      // Fires straight away, the list never changes
+      set onvoiceschanged(listener) {
+        setTimeout(listener, 0);
+      },
+    };
+  },
+
+  rtcPeerConnection: function (profile) {
+    const sdp = [
+      "v=0",
+      "o=- 4611731400430051336 2 IN IP4 127.0.0.1",
+      "s=-",
+      "t=0 0",
+      "a=group:BUNDLE 0",
+      "a=msid-semantic: WMS",
+      "m=application 9 UDP/DTLS/SCTP webrtc-datachannel",
+      "c=IN IP4 0.0.0.0",
+      "a=ice-options:trickle",
+      `a=fingerprint:sha-256 ${profile.webrtc.fingerprint}`,
+      "a=setup:actpass",
+      "a=mid:0",
+      "a=sctp-port:5000",
+      "a=max-message-size:262144",
+      "",
+    ].join("\r\n");
+
+    return virtualBrowser.nativeClass({
+      createDataChannel() {
+        return { close() {} };
+      },
+      createOffer() {
+        return Promise.resolve({ type: "offer", sdp });
+      },
+      close() {},
+    });
+  },
+};
+
+// Installs the profile (a built-in name or a profile object) on the global
+// object. Returns a function that restores the previous environment.
+// options.state keeps localStorage and cookies between installs: pass the
+// same object (initially {}) to every install of one device. sessionStorage
+// always starts empty, like a new browser session.
+function install(profile, options = {}) {
+  profile = resolve(profile);
+  const state = options.state || {};
+  state.localStorage = state.localStorage || {};
+  state.cookies = state.cookies || {};
+
+  const saved = [];
+  const define = (target, name, value) => {
+    saved.push([target, name, Object.getOwnPropertyDescriptor(target, name)]);
+    Object.defineProperty(target, name, {
+      value,
+      writable: true,
+      configurable: true,
+    });
+  };
+
+  const { Navigator, navigator } = virtualBrowser.navigator(profile);
+  const { Screen, screen } = virtualBrowser.screen(profile);
+  const canvas = virtualBrowser.canvas(profile);
+  const audio = profile.audio ? virtualBrowser.audio(profile) : {};
+  const { intl, dateMethods } = virtualBrowser.intl(profile);
+  const unsupported = (profile.css && profile.css.unsupported) || [];
+
+  const globals = {
+    window: globalThis,
+    self: globalThis,
+    navigator,
+    Navigator,
+    screen,
+    Screen,
+    document: virtualBrowser.document(profile, canvas, state.cookies),
+    HTMLCanvasElement: canvas.HTMLCanvasElement,
+    CanvasRenderingContext2D: canvas.CanvasRenderingContext2D,
+    WebGLRenderingContext: canvas.WebGLRenderingContext,
+    WebGL2RenderingContext: canvas.WebGL2RenderingContext,
+    AudioBuffer: audio.AudioBuffer,
+    OfflineAudioContext: audio.OfflineAudioContext,
+    webkitOfflineAudioContext: undefined,
+    RTCPeerConnection: profile.webrtc
+      ? virtualBrowser.rtcPeerConnection(profile)
+      : undefined,
+    speechSynthesis: profile.voices
+      ? virtualBrowser.speechSynthesis(profile)
+      : undefined,
+    matchMedia: virtualBrowser.matchMedia(profile),
+    CSS: {
+      supports: (property, value) =>
+        unsupported.indexOf(
+          value === undefined ? property : `${property}: ${value}`
+        ) < 0,
+    },
+    localStorage: virtualBrowser.storage(state.localStorage),
+    sessionStorage: virtualBrowser.storage(),
+    devicePixelRatio: profile.devicePixelRatio || 1,
+    chrome: profile.chrome ? { runtime: {} } : undefined,
+    Intl: intl,
+    // Kept out so runs stay in this thread and storage stays in memory
+    indexedDB: undefined,
+    Worker: undefined,
+    OffscreenCanvas: undefined,
+  };
+  if (profile.touch) {
+    globals.ontouchstart = null;
+  }
+  for (const name of profile.sensors || []) {
+    globals[name] = virtualBrowser.nativeClass();
+  }
+  if (typeof globalThis.addEventListener !== "function") {
+    globals.addEventListener = () => {};
+    globals.removeEventListener = () => {};
+  }
+
+  for (const name in globals) {
+    define(globalThis, name, globals[name]);
+  }
+  for (const name in dateMethods) {
+    define(Date.prototype, name, dateMethods[name]);
+  }
+  const tz = process.env.TZ;
+  if (profile.timezone) {
+    process.env.TZ = profile.timezone;
+  }
+
+  return function uninstall() {
+    for (const [target, name, descriptor] of saved.reverse()) {
+      if (descriptor) {
+        Object.defineProperty(target, name, descriptor);
+      } else {
+        delete target[name];
+      }
+    }
+    if (tz === undefined) {
+      delete process.env.TZ;
+    } else {
+      process.env.TZ = tz;
+    }
+  };
+}
+
+// Runs Fingerprint.load(options).get() inside the profile's environment.
+// installOptions are passed to install(), e.g. { state }.
+async function run(profile, options = {}, installOptions = {}) {
+  const uninstall = install(profile, installOptions);
+  try {
+    const bf = await Fingerprint.load(
+      utils.assign({ apiKey: "test" }, options)
+    );
+    return await bf.get();
+  } finally {
+    uninstall();
+  }
+}
+
+// count copies of a profile, each changed by the named mutators with a
+// seeded random source. The default mutators make different devices, for
+// collision tests; ["browserVersion", "battery", "network"] makes the same
+// device over time, for stability tests.
+function variants(profile, count = 10, options = {}) {
+  const vary = options.vary || deviceMutators;
+  const seed = options.seed !== undefined ? options.seed : 1;
+  for (const name of vary) {
+    if (!mutators[name]) {
+      throw new Error(`Unknown mutator: ${name}`);
+    }
+  }
+
+  const result = [];
+  for (let i = 0; i < count; i++) {
+    const rand = random(seed * 1000003 + i);
+    const variant = resolve(profile);
+    for (const name of vary) {
+      mutators[name](variant, rand, i);
+    }
+    result.push(variant);
+  }
+  return result;
+}
+
+module.exports = {
+  install,
+  run,
+  variants,
+  profiles,
+  mutators,
+};